@@ -0,0 +1,258 @@
+﻿( function( $, undefined ) {
+
+	var bridgeGuid = 0;
+
+	// The protocol identifier with which bridged notifications are marked, so that
+	// unrelated messages can be ignored.
+	var protocol = "jquery.mvc.bridge";
+
+	// The origin of the current window or worker, i.e. its scheme, host and port. Refer
+	// to the global object through 'self', which is also available in Web Workers.
+	var ownOrigin = self.location.protocol + "//" + self.location.host;
+
+	/**
+	 * Creates a new <code>jQuery.mvc.Bridge</code> instance, which forwards notifications
+	 * between the notifier of a core in the current window and the notifiers of jQuery.mvc
+	 * in other windows, such as frames and popups, in other tabs or in Web Workers.
+	 * <p>
+	 * Notifications are forwarded over <code>postMessage</code> to the configured target
+	 * windows and message ports, and optionally over a <code>BroadcastChannel</code> to other
+	 * tabs. Only those notifications matching the configured list of names are forwarded
+	 * and accepted.
+	 * Notifications are serialized to JSON; their bodies should consist of plain data.
+	 * Notifications received from another window are not forwarded again.
+	 * </p>
+	 * @constructor
+	 * @param {Object} options A hash of options with which the bridge will be configured.
+	 */
+	$.mvc.Bridge = function( options ) {
+
+		// Allow calling as a regular function without the new keyword.
+		if ( !( this && this.hasOwnProperty && this instanceof $.mvc.Bridge ) ) {
+			return new $.mvc.Bridge( options );
+		}
+
+		// The options are not copied deeply, as they refer to a core, windows and ports.
+		this.options = $.extend( {}, this.options, options );
+		this.id = protocol + "-" + ( ++bridgeGuid );
+		this.core = this.options.core || $.mvc.core();
+
+		this._connect();
+	}
+
+	$.mvc.Bridge.prototype = {
+
+		/**
+		 * A hash of option values configuring the bridge.
+		 * @type Object
+		 */
+		options: {
+			/**
+			 * The core whose notifier is bridged. Defaults to the default core.
+			 * @type Object
+			 */
+			core: null,
+
+			/**
+			 * The names of the notifications that are forwarded and accepted. Names may end
+			 * in a wildcard.
+			 * @type Array.<String>
+			 */
+			notifications: [ ],
+
+			/**
+			 * The windows to which notifications are forwarded, e.g. the content windows of
+			 * frames, the window's parent or its opener.
+			 * @type Array.<Window>
+			 */
+			targets: [ ],
+
+			/**
+			 * The message ports with which notifications are exchanged, e.g. Web Workers or,
+			 * from inside a Web Worker, the worker's global scope. Messages are exchanged with
+			 * message ports without origin checks.
+			 * @type Array.<Object>
+			 */
+			ports: [ ],
+
+			/**
+			 * The origin the target windows must have for notifications to be delivered to
+			 * them. Defaults to the origin of the current window.
+			 * @type String
+			 */
+			targetOrigin: ownOrigin,
+
+			/**
+			 * The origins from which notifications are accepted. Defaults to the origin of
+			 * the current window.
+			 * @type Array.<String>
+			 */
+			origins: [ ownOrigin ],
+
+			/**
+			 * The name of a <code>BroadcastChannel</code> over which notifications are
+			 * forwarded to and accepted from other tabs of the same origin. Ignored where
+			 * broadcast channels are not supported.
+			 * @type String
+			 */
+			channel: null
+		},
+
+		/**
+		 * Checks if notifications of a given name are forwarded and accepted by the bridge.
+		 * @param {jQuery.mvc.Notification} notification The notification.
+		 * @return {Boolean} Whether the notification is allowed.
+		 */
+		allows: function( notification ) {
+			var allowed = false;
+
+			$.each( this.options.notifications, function( i, name ) {
+				return !( allowed = notification.matches( name ));
+			});
+
+			return allowed;
+		},
+
+		/**
+		 * Disconnects the bridge. Notifications are no longer forwarded or accepted.
+		 */
+		close: function() {
+			var handler = this._handler;
+
+			this.core.notifier.remove( "*", this._observer );
+
+			if ( this._window ) {
+				$( self ).unbind( "message." + this.id );
+			}
+
+			$.each( this.options.ports, function( i, port ) {
+				port.removeEventListener( "message", handler, false );
+			});
+
+			if ( this._channel ) {
+				this._channel.close();
+				this._channel = null;
+			}
+		},
+
+		/**
+		 * Connects the bridge to the core's notifier, to the window's message events, to the
+		 * message ports and, where configured, to a broadcast channel.
+		 */
+		_connect: function() {
+			var bridge = this, o = this.options;
+
+			this._observer = this.core.notifier.register( "*", $.mvc.Observer( this._forward, this ));
+
+			// Messages from other windows are only available to a window. Web Workers only
+			// exchange messages through their ports.
+			this._window = self.document !== undefined;
+
+			if ( this._window ) {
+				$( self ).bind( "message." + this.id, function( event ) {
+					event = event.originalEvent;
+
+					if ( $.inArray( event.origin, o.origins ) !== -1 ) {
+						bridge._receive( event.data );
+					}
+				});
+			}
+
+			this._handler = function( event ) {
+				bridge._receive( event.data );
+			};
+
+			$.each( o.ports, function( i, port ) {
+				port.addEventListener( "message", bridge._handler, false );
+			});
+
+			if ( o.channel && self.BroadcastChannel ) {
+				this._channel = new self.BroadcastChannel( o.channel );
+				this._channel.onmessage = function( event ) {
+					bridge._receive( event.data );
+				};
+			}
+		},
+
+		/**
+		 * Forwards a notification observed on the core's notifier to the bridged windows,
+		 * unless it is not allowed or was itself received from another window.
+		 * @param {jQuery.mvc.Notification} notification The observed notification.
+		 */
+		_forward: function( notification ) {
+			var data, o = this.options;
+
+			if ( notification.remote || !this.allows( notification )) {
+				return;
+			}
+
+			data = this._serialize( notification );
+
+			$.each( o.targets, function( i, target ) {
+				target.postMessage( data, o.targetOrigin );
+			});
+
+			$.each( o.ports, function( i, port ) {
+				port.postMessage( data );
+			});
+
+			if ( this._channel ) {
+				this._channel.postMessage( data );
+			}
+		},
+
+		/**
+		 * Injects a notification received from another window or a port into the core's notifier.
+		 * Messages which are not bridged notifications or which are not allowed are ignored.
+		 * @param {*} data The received message data.
+		 */
+		_receive: function( data ) {
+			var notification = this._deserialize( data );
+
+			if ( notification && this.allows( notification )) {
+				this.core.notifier.notify( notification );
+			}
+		},
+
+		/**
+		 * Serializes a notification to a message.
+		 * @param {jQuery.mvc.Notification} notification The notification.
+		 * @return {String} The message.
+		 */
+		_serialize: function( notification ) {
+			return JSON.stringify({
+				protocol : protocol,
+				name     : notification.name,
+				body     : notification.body,
+				sticky   : notification.sticky
+			});
+		},
+
+		/**
+		 * Deserializes a message to a notification, which is marked as being received from
+		 * another window through its <code>remote</code> property.
+		 * @param {*} data The message.
+		 * @return {jQuery.mvc.Notification} The notification, or null if the message was not
+		 *                                   a well-formed bridged notification.
+		 */
+		_deserialize: function( data ) {
+			var notification;
+
+			try {
+				data = JSON.parse( data );
+			} catch ( error ) {
+				return null;
+			}
+
+			if ( !data || data.protocol !== protocol || typeof data.name !== "string" ) {
+				return null;
+			}
+
+			notification = $.mvc.Notification( data.name, data.body, data.sticky );
+			notification.remote = true;
+
+			return notification;
+		}
+	}
+
+})( jQuery );
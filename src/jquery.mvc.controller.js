@@ -1,90 +1,375 @@
 ﻿( function( $, undefined ) {
 
-	var commandMap = {};
-
 	/**
-	 * The controller singleton of the jQuery.mvc manifold.
+	 * Creates the controller of a jQuery.mvc core.
 	 * 
 	 * <p>The controller assumes these responsibilities:</p>	 
 	 * <ul>
 	 * <li>Maintaining a cache of constructor functions for commands intended to handle
 	 * notifications.</li>
-	 * <li>Registering itself as an observer with the notifier dispatch for each notification
+	 * <li>Registering itself as an observer with the core's notifier for each notification
 	 * that it receives a command mapping for.</li>	 
 	 * <li>Creating and executing instances of the proper command to handle a given
-	 * notification received from jQuery.mvc.notifier.</li>
+	 * notification received from the core's notifier.</li>
 	 * </ul>
+	 * @param {Object} core The core the controller belongs to.
+	 * @return {Object} The controller.
 	 */
-	$.mvc.controller = {
-
+	$.mvc.core.component( "controller", function( core ) {
+	
+		var commandMap = {}, traces = [], controller;
+		
 		/**
-		 * Checks if a notification has a command registered with the controller.
-		 * @param {String} The notification's name.
-		 * @return {Boolean} Whether a command is currently registered for the given notification.
+		 * Finds the index of the entry for a command in a list of registered commands.
+		 * @param {Array.<Object>}  entries The entries of the registered commands.
+		 * @param {Function|String} command The command's constructor function, path or
+		 *                                  loader function, as it was registered.
+		 * @return {Number} The index of the command's entry, or -1 if it is not found.
 		 */
-		has: function( notificationName ) {
-			return commandMap[ notificationName ] !== undefined;
-		},
+		var indexOf = function( entries, command ) {
+			var index = -1;
+			
+			$.each( entries || [], function( i, entry ) {
+				if ( entry.module === command ) {
+					index = i;
+					return false;
+				}
+			});
+			
+			return index;
+		}
 		
 		/**
-		 * Retrieves the constructor function for the <code>jQuery.mvc.Command</code> that is
-		 * registered for the given notification name.
-		 * @param {String} The notification's name.
-		 * @return {Function} The constructor function.
+		 * Describes a command by its namespaced type name and the notification it is
+		 * registered for, e.g. to report its exceptions.
+		 * @param {Function} command The command's constructor function.
+		 * @param {String}   name    The notification name the command was registered for.
+		 * @return {String} The description.
 		 */
-		get: function( name ) {			
-			return $.mvc.controller.has( name ) ? commandMap[ name ] : null;
-		},
+		var describe = function( command, name ) {
+			var proto = command.prototype;
+			return ( proto.namespace ? proto.namespace + "." : "" ) + proto.name + " '" + name + "'";
+		}
 		
 		/**
-		 * Registers a constructor function for a <code>jQuery.mvc.Command</code> with the
-		 * controller. Individual instances of the command will be created and executed for
-		 * each matching notification observed.
-		 * @param {String}   notificationName The notification for which the command shall
-		 *                                    be executed.
-		 * @param {Function} command          The command's constructor function.
-		 * @param {Object}   options          A hash of options with which instances of the
-		 *                                    registered command will be configured before
-		 *                                    execution.
+		 * Creates and executes an instance of a registered command.
+		 * @param {Object}                  entry        The entry of the registered command.
+		 * @param {String}                  name         The notification name the command was
+		 *                                               registered for.
+		 * @param {jQuery.mvc.Notification} notification The observed notification.
+		 * @return {*} The result of the command, or a promise for it.
 		 */
-		register: function( notificationName, command, options ) {
-			var observer;
+		var execute = function( entry, name, notification ) {
+			var instance = new entry.command( name, entry.options ), trace, result;
+			instance.core = core;
+			instance.resolveDependencies();
 			
-			// Do not allow re-registration. If a command is already registered for the
-			// notification name, it must be unregistered first.
-			if ( $.mvc.controller.has( notificationName ) ) {
-				throw "jQuery.mvc.controller: A command is already registered for notifications named '" + name + "'.";
+			if ( !controller.options.trace ) {
+				return instance._execute( notification );
 			}
 			
-			// Construct an observer around a factory method for the command prototype and
-			// store it in the map. A reference to the controller object is used as the
-			// observer's context. The context here serves no purpose other than being a
-			// key used for later removal of the observer.			
-			observer = commandMap[ notificationName] = $.mvc.Observer( function( notification ) {
-				var instance = new command( options );
-				instance.execute( notification );
-			}, $.mvc.controller );
-			
-			// Register the command's observer.
-			$.mvc.notifier.register( notificationName, observer );			
-		},
+			trace = {
+				notification : notification.name,
+				namespace    : entry.command.prototype.namespace || "",
+				type         : entry.command.prototype.name,
+				options      : entry.options,
+				start        : $.now(),
+				end          : null,
+				duration     : null,
+				error        : null
+			};
+			
+			try {
+				result = instance._execute( notification );
+			} catch ( error ) {
+				endTrace( trace, error );
+				throw error;
+			}
+			
+			$.when( result )
+				.done( function() { endTrace( trace ); })
+				.fail( function( error ) { endTrace( trace, error ); });
+			
+			return result;
+		}
 		
 		/**
-		 * Removes a command registered for a particular notifcation from the controller.
-		 * @param {String} notificationName The notification for which to remove the command.
+		 * Completes the trace of a command's execution and records it. Slow executions are
+		 * reported through the <code>onSlow</code> option. An exception thrown by that option
+		 * is rethrown asynchronously, so that it does not fail the command.
+		 * @param {Object} trace The trace.
+		 * @param {*}      error The exception thrown or the reason the command's promise was
+		 *                       rejected with, if the command failed. (Optional)
 		 */
-		remove: function( notificationName ) {
-			var observer = commandMap[ notificationName ];
-			if ( observer !== undefined ) {
+		var endTrace = function( trace, error ) {
+			var o = controller.options;
+			
+			trace.end = $.now();
+			trace.duration = trace.end - trace.start;
+			
+			if ( arguments.length > 1 ) {
+				trace.error = String( error );
+			}
+			
+			traces.push( trace );
+			if ( o.maxTraces > 0 && traces.length > o.maxTraces ) {
+				traces.shift();
+			}
+			
+			if ( $.isFunction( o.onSlow ) && o.slowThreshold > 0 && trace.duration >= o.slowThreshold ) {
+				try {
+					o.onSlow( trace );
+				} catch ( error ) {
+					setTimeout( function() { throw error; }, 0 );
+				}
+			}
+		}
+		
+		/**
+		 * Executes a lazily registered command once it has been loaded. The command is loaded
+		 * the first time it is needed. Notifications observed while it is loading wait for it,
+		 * so that they are handled in order.
+		 * @param {Object}                  entry        The entry of the registered command.
+		 * @param {String}                  name         The notification name the command was
+		 *                                               registered for.
+		 * @param {jQuery.mvc.Notification} notification The observed notification.
+		 * @return {Promise} A promise for the result of the command.
+		 */
+		var executeLazy = function( entry, name, notification ) {
+			var deferred = $.Deferred(), loading = entry.loading;
+			
+			// A failed load is attempted again for the next notification. The handlers are
+			// attached after the promise is stored, as a load may fail synchronously.
+			if ( loading === null ) {
+				loading = entry.loading = $.mvc.load( entry.module, core );
+				loading
+					.done( function( command ) {
+						entry.command = command;
+						entry.observer.module = describe( command, name );
+					})
+					.fail( function() { entry.loading = null; });
+			}
+			
+			loading
+				.done( function() {
+					try {
+						$.when( execute( entry, name, notification ))
+							.done( deferred.resolve )
+							.fail( deferred.reject );
+					} catch ( error ) {
+						deferred.reject( error );
+					}
+				})
+				.fail( deferred.reject );
+			
+			return deferred.promise();
+		}
+		
+		return controller = {
+		
+			/**
+			 * A hash of option values configuring the controller.
+			 * @type Object
+			 */
+			options: {
+				/**
+				 * Defines whether executions of commands are traced. Each trace records the
+				 * notification's name, the command's namespace, type and options, the start and
+				 * end time, the duration and the error, if the command failed.
+				 * @type Boolean
+				 */
+				trace: false,
 				
-				// Remove the command's observer, using the controller as the context and key.
-				$.mvc.notifier.remove( notificationName, $.mvc.controller );
+				/**
+				 * Defines the maximum number of traces kept. The oldest traces are discarded
+				 * first. Zero means there is no maximum.
+				 * @type Number
+				 */
+				maxTraces: 1000,
 				
-				// Remove the observer from the map.
-				delete commandMap[ notificationName ];
-			}
-		}		
-	}
+				/**
+				 * Defines the duration in milliseconds from which a traced execution is
+				 * considered slow.
+				 * @type Number
+				 */
+				slowThreshold: 0,
+				
+				/**
+				 * Defines a function which is called with the trace of each slow execution.
+				 * @type Function
+				 */
+				onSlow: null
+			},
+
+			/**
+			 * Checks if a notification has commands registered with the controller.
+			 * @param {String}   notificationName The notification's name.
+			 * @param {Function} command          The constructor function of a particular
+			 *                                    command to check for. (Optional)
+			 * @return {Boolean} Whether a command is currently registered for the given notification.
+			 */
+			has: function( notificationName, command ) {
+				return command === undefined
+					? commandMap[ notificationName ] !== undefined
+					: indexOf( commandMap[ notificationName ], command ) !== -1;
+			},
+			
+			/**
+			 * Retrieves the constructor functions for the <code>jQuery.mvc.Command</code>s that
+			 * are registered for the given notification name, in order of execution. Commands
+			 * that were registered lazily and have not been loaded yet, are retrieved as their
+			 * path or loader function.
+			 * @param {String} The notification's name.
+			 * @return {Array.<Function>} The constructor functions, or null if there are none.
+			 */
+			get: function( name ) {			
+				return controller.has( name ) ? $.map( commandMap[ name ], function( entry ) {
+					return entry.command || entry.module;
+				}) : null;
+			},
+			
+			/**
+			 * Lists the registered commands, for diagnostic purposes.
+			 * @return {Array.<Object>} The notification name, type, namespace and options of
+			 *                          each command, and whether it has been loaded.
+			 */
+			list: function() {
+				var result = [];
+				
+				$.each( commandMap, function( notificationName, entries ) {
+					$.each( entries, function( i, entry ) {
+						result.push({
+							notification : notificationName,
+							type         : entry.command ? entry.command.prototype.name : "",
+							namespace    : entry.command ? entry.command.prototype.namespace || "" : "",
+							options      : entry.options,
+							loaded       : entry.command !== null
+						});
+					});
+				});
+				
+				return result;
+			},
+			
+			/**
+			 * Registers a constructor function for a <code>jQuery.mvc.Command</code> with the
+			 * controller. Individual instances of the command will be created and executed for
+			 * each matching notification observed. Several commands may be registered for the
+			 * same notification; they are executed in order of registration.
+			 * <p>
+			 * The command may also be registered lazily, by giving its path or a loader function
+			 * as accepted by <code>jQuery.mvc.load</code>. It is then loaded the first time a
+			 * matching notification is observed.
+			 * </p>
+			 * @param {String}          notificationName The notification for which the command
+			 *                                           shall be executed.
+			 * @param {Function|String} command          The command's constructor function, path
+			 *                                           or loader function.
+			 * @param {Object}          options          A hash of options with which instances of
+			 *                                           the registered command will be configured
+			 *                                           before execution.
+			 */
+			register: function( notificationName, command, options ) {
+				var observer, entry;
+				
+				// Do not allow re-registration. If the command is already registered for the
+				// notification name, it must be unregistered first.
+				if ( controller.has( notificationName, command ) ) {
+					throw "jQuery.mvc.controller: The command is already registered for notifications named '" + notificationName + "'.";
+				}
+				
+				entry = {
+					module  : command,
+					command : $.mvc.load.isLazy( command ) ? null : command,
+					options : options,
+					loading : null
+				};
+				
+				// Construct an observer around a factory method for the command prototype and
+				// store it in the map, along with the command and its options. A reference to
+				// the controller object is used as the observer's context. The result of the
+				// command's execution is passed on, so that commands may complete
+				// asynchronously.
+				observer = entry.observer = $.mvc.Observer( function( notification ) {
+					return entry.command !== null
+						? execute( entry, notificationName, notification )
+						: executeLazy( entry, notificationName, notification );
+				}, controller, { module: entry.command !== null ? describe( command, notificationName ) : null });
+				
+				commandMap[ notificationName ] = commandMap[ notificationName ] || [];
+				commandMap[ notificationName ].push( entry );
+				
+				// Register the command's observer. Observers of equal priority are notified
+				// in order of registration, which defines the order of execution.
+				core.notifier.register( notificationName, observer );			
+			},
+			
+			/**
+			 * Removes a command registered for a particular notifcation from the controller.
+			 * @param {String}          notificationName The notification for which to remove the
+			 *                                           command.
+			 * @param {Function|String} command          The command to remove, as it was
+			 *                                           registered. All commands registered for
+			 *                                           the notification are removed when
+			 *                                           omitted. (Optional)
+			 */
+			remove: function( notificationName, command ) {
+				var entries = commandMap[ notificationName ], index;
+				
+				if ( entries === undefined ) {
+					return;
+				}
+				
+				if ( command === undefined ) {
+					$.each( entries.slice(), function( i, entry ) {
+						controller.remove( notificationName, entry.module );
+					});
+				} else if (( index = indexOf( entries, command )) !== -1 ) {
+					
+					// Remove the command's observer, using the observer itself as the key.
+					core.notifier.remove( notificationName, entries[ index ].observer );
+					
+					// Remove the entry from the map.
+					entries.splice( index, 1 );
+					if ( entries.length === 0 ) {
+						delete commandMap[ notificationName ];
+					}
+				}
+			},
+			
+			/**
+			 * Retrieves the traces of the executed commands, in order of completion.
+			 * @return {Array.<Object>} The traces.
+			 */
+			getTraces: function() {
+				return traces.slice();
+			},
+			
+			/**
+			 * Serializes the traces of the executed commands to JSON.
+			 * @return {String} The traces as JSON.
+			 */
+			serializeTraces: function() {
+				return JSON.stringify( traces );
+			},
+			
+			/**
+			 * Discards the traces of the executed commands.
+			 */
+			clearTraces: function() {
+				traces = [];
+			},
+			
+			/**
+			 * Removes all registered commands from the controller.
+			 */
+			removeAll: function() {
+				$.each( commandMap, function( notificationName ) {
+					controller.remove( notificationName );
+				});
+			}		
+		}
+	});
 	
 	/**
 	 * Creates a new jQuery.mvc command prototype with the given name. If the name includes
@@ -115,11 +400,149 @@
 	 */
 	$.mvc.Command = $.mvc.module("Command", $.mvc.Module, {
 	
+		/**
+		 * A hash of option values configuring the command.
+		 * @type Object
+		 */
+		options: {
+			/**
+			 * The name of the notification sent once the command has completed. Its body
+			 * holds the command's result and the observed notification. (Optional)
+			 * @type String
+			 */
+			completeNotification: null,
+			
+			/**
+			 * The name of the notification sent when the command has failed, i.e. when it has
+			 * thrown an exception or its promise has been rejected. Its body holds the error
+			 * and the observed notification. (Optional)
+			 * @type String
+			 */
+			failNotification: null
+		},
+	
 		/**
 		 * Executes the command whenever the notification it was registered for is observed.
+		 * A command which completes asynchronously should return a promise.
+		 * @param {jQuery.mvc.Notification} notification The observed notification.
+		 * @return {*} The result of the command, or a promise for it.
+		 */
+		execute: function( notification ) { },
+		
+		/**
+		 * Executes the command and announces its completion or failure through the
+		 * notifications configured by the command's options.
+		 * @param {jQuery.mvc.Notification} notification The observed notification.
+		 * @return {*} The result of the command, or a promise for it.
+		 */
+		_execute: function( notification ) {
+			var command = this, o = this.options, result;
+			
+			var fail = function( error ) {
+				if ( o.failNotification ) {
+					command._notify( o.failNotification, { error: error, notification: notification });
+				}
+			};
+			
+			try {
+				result = this.execute( notification );
+			} catch ( error ) {
+				fail( error );
+				throw error;
+			}
+			
+			$.when( result ).done( function( value ) {
+				if ( o.completeNotification ) {
+					command._notify( o.completeNotification, { result: value, notification: notification });
+				}
+			}).fail( fail );
+			
+			return result;
+		}
+	});
+	
+	/**
+	 * The base macro command, which executes an ordered list of sub-commands instead of
+	 * executing logic of its own. Each sub-command is executed as a fresh instance, configured
+	 * with its own options, and receives the same notification as the macro command.
+	 * <p>
+	 * Sub-commands are executed sequentially: a sub-command which returns a promise must
+	 * complete before the next sub-command is executed. The first sub-command that fails,
+	 * by throwing an exception or through a rejected promise, aborts the remaining chain.
+	 * </p>
+	 * @constructor
+	 */
+	$.mvc.MacroCommand = $.mvc.module("MacroCommand", $.mvc.Command, {
+	
+		/**
+		 * The sub-commands, in order of execution. Each sub-command is given either as a
+		 * command's constructor function, or as a hash which holds the constructor function
+		 * through its <code>command</code> property and the options with which the instance
+		 * will be configured through its <code>options</code> property. A macro command
+		 * derived from another one replaces its sub-commands by declaring its own.
+		 * @type Array.<Function|Object>
+		 */
+		subCommands: [ ],
+		
+		/**
+		 * Executes the sub-commands in order.
 		 * @param {jQuery.mvc.Notification} notification The observed notification.
+		 * @return {Promise} A promise for the results of the sub-commands, which is rejected
+		 *                   with the error of the first sub-command that fails.
 		 */
-		execute: function( notification ) { }
+		execute: function( notification ) {
+			var macro = this, deferred = $.Deferred(), results = [], index = 0;
+			
+			var next = function() {
+				var subCommand = macro.subCommands[ index++ ], result;
+				
+				if ( subCommand === undefined ) {
+					deferred.resolve( results );
+					return;
+				}
+				
+				// Exceptions are caught, as the chain may continue from within the callback
+				// of an earlier sub-command's promise.
+				try {
+					result = macro._createSubCommand( subCommand )._execute( notification );
+				} catch ( error ) {
+					deferred.reject( error );
+					return;
+				}
+				
+				$.when( result )
+					.done( function( value ) {
+						results.push( value );
+						next();
+					})
+					.fail( deferred.reject );
+			};
+			
+			next();
+			
+			return deferred.promise();
+		},
+		
+		/**
+		 * Creates an instance of a sub-command, bound to the macro command's core and with its
+		 * dependencies resolved.
+		 * @param {Function|Object} subCommand The sub-command, as given in the list of
+		 *                                     sub-commands.
+		 * @return {jQuery.mvc.Command} The sub-command's instance.
+		 */
+		_createSubCommand: function( subCommand ) {
+			var instance;
+			
+			if ( $.isFunction( subCommand ) ) {
+				subCommand = { command: subCommand };
+			}
+			
+			instance = new subCommand.command( this.name, subCommand.options );
+			instance.core = this.core;
+			instance.resolveDependencies();
+			
+			return instance;
+		}
 	});
 
 })( jQuery );
\ No newline at end of file
@@ -9,6 +9,257 @@
 	 */
 	$.mvc.version = "1.0.0";
 	
+	var coreMap = {}, componentMap = {}, defaultKey = "default";
+	
+	/**
+	 * Retrieves the jQuery.mvc core registered under the given key, creating it first if
+	 * no such core exists yet. A core is an isolated set of a model, a view, a controller
+	 * and a notifier. Modules registered with one core do not collide with those of
+	 * another core on their names or on the notifications they send and observe.
+	 * <p>
+	 * The components of the default core, which is retrieved when the key is omitted,
+	 * are also available as jQuery.mvc.model, jQuery.mvc.view, jQuery.mvc.controller
+	 * and jQuery.mvc.notifier.
+	 * </p>
+	 * @param {String} key The key of the core. (Optional)
+	 * @return {Object} The core, holding its components by name.
+	 */
+	$.mvc.core = function( key ) {
+		var core;
+		
+		key = ( key === undefined ) ? defaultKey : key;
+		core = coreMap[ key ];
+		
+		if ( core === undefined ) {
+			core = coreMap[ key ] = { key: key };
+			
+			$.each( componentMap, function( name, factory ) {
+				core[ name ] = factory( core );
+			});
+		}
+		
+		return core;
+	}
+	
+	/**
+	 * Checks if a core has been created under the given key.
+	 * @param {String} key The key of the core.
+	 * @return {Boolean} Whether a core currently exists under the given key.
+	 */
+	$.mvc.core.has = function( key ) {
+		return coreMap[ key ] !== undefined;
+	}
+	
+	/**
+	 * Removes a core. All modules registered with the core's components are removed
+	 * along with it. The default core cannot be removed.
+	 * @param {String} key The key of the core.
+	 */
+	$.mvc.core.remove = function( key ) {
+		var core = coreMap[ key ];
+		
+		if ( key === defaultKey ) {
+			throw "jQuery.mvc.core: The default core cannot be removed.";
+		}
+		
+		if ( core !== undefined ) {
+			delete coreMap[ key ];
+			
+			$.each( componentMap, function( name ) {
+				if ( $.isFunction( core[ name ].removeAll )) {
+					core[ name ].removeAll();
+				}
+			});
+		}
+	}
+	
+	/**
+	 * Inspects the registrations of a core, for diagnostic purposes. The result holds the
+	 * listing of every component of the core that supports listing its registrations.
+	 * Unlike jQuery.mvc.core, inspecting does not create a core that does not exist.
+	 * @param {String} key The key of the core. (Optional)
+	 * @return {Object} The listings, by component name, together with the core's key,
+	 *                  or null if no core exists under the given key.
+	 */
+	$.mvc.core.inspect = function( key ) {
+		var core = coreMap[( key === undefined ) ? defaultKey : key ], result;
+		
+		if ( core === undefined ) {
+			return null;
+		}
+		
+		result = { key: core.key };
+		
+		$.each( componentMap, function( name ) {
+			if ( $.isFunction( core[ name ].list )) {
+				result[ name ] = core[ name ].list();
+			}
+		});
+		
+		return result;
+	}
+	
+	/**
+	 * Defines a component that is part of every jQuery.mvc core. The component is created
+	 * for every existing core and every core that is created later on. The component of the
+	 * default core is made available as jQuery.mvc.<name>.
+	 * @param {String}   name    The name of the component.
+	 * @param {Function} factory A function which creates the component for the core it is
+	 *                           passed.
+	 */
+	$.mvc.core.component = function( name, factory ) {
+		
+		// Ensure the default core exists before creating its new component.
+		$.mvc.core();
+		
+		componentMap[ name ] = factory;
+		$.each( coreMap, function( key, core ) {
+			core[ name ] = factory( core );
+		});
+		
+		$.mvc[ name ] = coreMap[ defaultKey ][ name ];
+	}
+	
+	/**
+	 * Loads the constructor function of a module lazily. The module is given either as a
+	 * path or as a loader function.
+	 * <p>
+	 * A path is loaded as an AMD module through <code>require</code> when an AMD loader is
+	 * present, through <code>importScripts</code> inside a Web Worker, or as a script through
+	 * <code>jQuery.getScript</code> otherwise. The path may end in a hash followed by the
+	 * module's namespaced type name, e.g. <code>js/cart.js#shop.CartProxy</code>, to look up
+	 * the constructor function once the script has run. Without a type name, the value of
+	 * the AMD module is used.
+	 * </p>
+	 * <p>
+	 * A loader function returns the constructor function, or a promise for it.
+	 * </p>
+	 * <p>
+	 * Failures are reported through a notification named <code>mvc:loaderror</code>, sent
+	 * through the notifier of the given core.
+	 * </p>
+	 * @param {String|Function} module The module's path or loader function.
+	 * @param {Object}          core   The core through which to report failures. (Optional)
+	 * @return {Promise} A promise for the constructor function.
+	 */
+	$.mvc.load = function( module, core ) {
+		var deferred = $.Deferred(), path = "loader function", type, result;
+		
+		var fail = function( error ) {
+			( core || $.mvc.core() ).notifier.notify( $.mvc.Notification( "mvc:loaderror", {
+				module : path,
+				error  : error
+			}));
+			deferred.reject( error );
+		}
+		
+		var done = function( constructor ) {
+			if ( type !== undefined ) {
+				type = type.split( "." );
+				constructor = ( $.mvc[ type[ 0 ] ] || {} )[ type[ 1 ] ];
+			}
+			
+			if ( $.isFunction( constructor ) ) {
+				deferred.resolve( constructor );
+			} else {
+				fail( "jQuery.mvc.load: Module '" + path + "' does not provide a constructor function." );
+			}
+		}
+		
+		if ( typeof module === "string" ) {
+			path = module.split( "#" );
+			type = path[ 1 ];
+			path = path[ 0 ];
+			
+			if ( typeof define === "function" && define.amd && typeof require === "function" ) {
+				require( [ path ], done, fail );
+			} else if ( self.document === undefined && $.isFunction( self.importScripts ) ) {
+			
+				// Web Workers have no DOM to load scripts into, but load them synchronously.
+				try {
+					self.importScripts( path );
+				} catch ( error ) {
+					fail( error );
+					return deferred.promise();
+				}
+				done();
+			} else {
+				$.getScript( path )
+					.done( function() { done(); } )
+					.fail( function( xhr, status, error ) { fail( error || status ); } );
+			}
+		} else {
+			try {
+				result = module();
+			} catch ( error ) {
+				fail( error );
+				return deferred.promise();
+			}
+			
+			$.when( result ).done( done ).fail( fail );
+		}
+		
+		return deferred.promise();
+	}
+	
+	/**
+	 * Checks if a module is given lazily, i.e. as a path or a loader function rather than
+	 * as a module's constructor function.
+	 * @param {String|Function} module The module.
+	 * @return {Boolean} Whether the module is given lazily.
+	 */
+	$.mvc.load.isLazy = function( module ) {
+		if ( typeof module !== "string" && !$.isFunction( module ) ) {
+			throw "jQuery.mvc.load: A module must be given as a constructor function, a path or a loader function.";
+		}
+		
+		return typeof module === "string" || !( module.prototype instanceof $.mvc.Module );
+	}
+	
+	/**
+	 * Loads a lazily registered module and registers an instance of it once it has been
+	 * loaded, unless the registration has been removed in the meantime. A component keeps
+	 * its pending registrations in a map by name. Removing a registration from that map
+	 * cancels it.
+	 * @param {Object}          loadingMap The component's pending registrations, by name.
+	 * @param {String}          name       The name under which to register the instance.
+	 * @param {String|Function} module     The module's path or loader function.
+	 * @param {Object}          core       The core the component belongs to.
+	 * @param {Function}        register   A function which registers an instance of the
+	 *                                     constructor function it is passed and returns
+	 *                                     the instance.
+	 * @param {String}          removed    The error with which to reject the registration
+	 *                                     if it is removed while loading.
+	 * @return {Promise} A promise for the registered instance.
+	 */
+	$.mvc.load.register = function( loadingMap, name, module, core, register, removed ) {
+		var deferred = loadingMap[ name ] = $.Deferred();
+		
+		$.mvc.load( module, core )
+			.done( function( constructor ) {
+				if ( loadingMap[ name ] !== deferred ) {
+					deferred.reject( removed );
+					return;
+				}
+				
+				delete loadingMap[ name ];
+				
+				try {
+					deferred.resolve( register( constructor ));
+				} catch ( error ) {
+					deferred.reject( error );
+				}
+			})
+			.fail( function( error ) {
+				if ( loadingMap[ name ] === deferred ) {
+					delete loadingMap[ name ];
+				}
+				deferred.reject( error );
+			});
+		
+		return deferred.promise();
+	}
+	
 	/**
 	 * Creates a new jQuery.mvc module prototype with the given name. If the name includes
 	 * a leading namespace (separated from the name by a dot), the prototype is stored at	 
@@ -30,11 +281,26 @@
 		fullname  = fullname.join( "-" );
 
 		// Create a new, uninitialized instance of the base MVC module and
-		// deep copy its options onto the instance so they aren't shared
-		// from the base prototype across multiple instances.
-		baseObj = new base();	
-		baseObj.options = $.extend( true, {}, baseObj.options );
+		// deep copy its options, notification interests, sub-commands, etc.
+		// onto the instance so they aren't shared from the base prototype
+		// across multiple instances and derived prototypes.
+		baseObj = new base();
+		$.each( baseObj, function( key, value ) {
+			if ( $.isPlainObject( value ) ) {
+				baseObj[ key ] = $.extend( true, {}, value );
+			} else if ( $.isArray( value ) ) {
+				baseObj[ key ] = $.extend( true, [], value );
+			}
+		});
 				
+		// Arrays declared by the new MVC module, such as the sub-commands of a macro
+		// command, replace the base's arrays rather than being merged into them.
+		$.each( proto, function( key, value ) {
+			if ( $.isArray( value ) ) {
+				baseObj[ key ] = null;
+			}
+		});
+		
 		// Create the namespace for the new MVC module. This may be a temporary
 		// object when no namespace was specified.
 		namespaceObj = namespace
@@ -101,6 +367,21 @@
 		 */
 		options: { },		
 		
+		/**
+		 * The core the module instance has been registered with. Modules that have not been
+		 * registered with a core, use the default core.
+		 * @type Object
+		 */
+		core: null,
+		
+		/**
+		 * A map of property names to the names of proxies. Used to declare the proxies the
+		 * module depends on, which are assigned to the given properties of the module's
+		 * instances when these are created by the controller or view.
+		 * @type Object.<String,String>
+		 */
+		inject: { },
+		
 		/**
 		 * Creates a new jQuery.mvc module.
 		 * @param {String} name    The module's registered name.
@@ -148,13 +429,50 @@
 		getName: function() { return this.name; },
 		
 		/**
-		 * Broadcasts a notification to the jQuery.mvc manifold.
-		 * @param {String} name The notification's name.
-		 * @param {Object} body The notification's body or data.
+		 * Gets the name of the MVC module's type.
+		 * @returns {String} The type's name.
+		 */
+		getType: function() { return this.constructor.prototype.name; },
+		
+		/**
+		 * Gets the namespace of the MVC module's type.
+		 * @returns {String} The type's namespace, or an empty string.
+		 */
+		getNamespace: function() { return this.namespace || ""; },
+		
+		/**
+		 * Resolves the proxies the module depends on from the model of the module's core and
+		 * assigns them to the module's properties, as declared by <code>inject</code>. Fakes
+		 * may be given for some or all of the dependencies, e.g. in unit tests.
+		 * @param {Object} fakes A map of property names to objects to assign instead of the
+		 *                       registered proxies. (Optional)
+		 */
+		resolveDependencies: function( fakes ) {
+			var module = this, model = ( this.core || $.mvc.core() ).model;
+			
+			fakes = fakes || {};
+			
+			$.each( this.inject, function( property, proxyName ) {
+				if ( fakes[ property ] !== undefined ) {
+					module[ property ] = fakes[ property ];
+				} else if ( model.has( proxyName ) ) {
+					module[ property ] = model.get( proxyName );
+				} else {
+					throw "jQuery.mvc: The " + module.getType() + " named '" + module.getName() + "' depends on the proxy named '" + proxyName + "', which is not registered.";
+				}
+			});
+		},
+		
+		/**
+		 * Broadcasts a notification to the notifier of the module's core.
+		 * @param {String}  name   The notification's name.
+		 * @param {Object}  body   The notification's body or data.
+		 * @param {Boolean} sticky Whether the notification is sticky. (Optional)
+		 * @return {Promise} A promise for the results of the notification's observers.
 		 */
-		_notify: function( name, body ) {
-			var notification = $.mvc.Notification( name, body );			
-			$.mvc.notifier.notify( notification );			
+		_notify: function( name, body, sticky ) {
+			var notification = $.mvc.Notification( name, body, sticky );			
+			return ( this.core || $.mvc.core() ).notifier.notify( notification );			
 		}		
 	}
 
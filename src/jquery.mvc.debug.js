@@ -0,0 +1,148 @@
+﻿( function( $, undefined ) {
+
+	/**
+	 * A mediator that renders a live overview of the registrations of a core into its view
+	 * component, for use during development. The overview lists the registered proxies,
+	 * mediators and commands, the notifications with their number of observers and the most
+	 * recent notifications sent. It is refreshed whenever a notification is sent.
+	 * <p>
+	 * The panel is registered like any other mediator, e.g.:
+	 * </p>
+	 * <pre>
+	 * $.mvc.view.register( "debugPanel", $.mvc.debug.PanelMediator, { }, "#debug" );
+	 * </pre>
+	 * @constructor
+	 */
+	$.mvc.mediator( "debug.PanelMediator", {
+
+		/**
+		 * A hash of option values configuring the panel.
+		 * @type Object
+		 */
+		options: {
+			/**
+			 * The number of recent notifications listed.
+			 * @type Number
+			 */
+			recent: 10,
+			
+			/**
+			 * The number of milliseconds between periodic refreshes of the overview, which
+			 * pick up registrations made without sending a notification. Zero disables
+			 * periodic refreshes.
+			 * @type Number
+			 */
+			interval: 0
+		},
+		
+		notificationInterests: {
+			"*": "_onNotification"
+		},
+		
+		/**
+		 * Refreshes the overview.
+		 */
+		refresh: function() {
+			var info = $.mvc.core.inspect( this.core.key ), element = this.element.empty();
+			
+			// The core has been removed.
+			if ( info === null ) {
+				return;
+			}
+			
+			$( "<h3/>" ).text( "Core '" + info.key + "'" ).appendTo( element );
+			
+			this._table( "Proxies", [ "Name", "Type", "Namespace" ], $.map( info.model || [], function( entry ) {
+				return [[ entry.name, entry.type, entry.namespace ]];
+			})).appendTo( element );
+			
+			this._table( "Mediators", [ "Name", "Type", "Namespace" ], $.map( info.view || [], function( entry ) {
+				return [[ entry.name, entry.type, entry.namespace ]];
+			})).appendTo( element );
+			
+			this._table( "Commands", [ "Notification", "Type", "Namespace" ], $.map( info.controller || [], function( entry ) {
+				return [[ entry.notification, entry.type, entry.namespace ]];
+			})).appendTo( element );
+			
+			this._table( "Notifications", [ "Name", "Observers", "Sticky" ], $.map( info.notifier || [], function( entry ) {
+				return [[ entry.notification, entry.observers, entry.sticky ? "yes" : "" ]];
+			})).appendTo( element );
+			
+			this._table( "Recent notifications", [ "Time", "Name" ], $.map( this._recent, function( entry ) {
+				return [[ new Date( entry.time ).toLocaleTimeString(), entry.name ]];
+			})).appendTo( element );
+		},
+		
+		_createModule: function( name, options, element ) {
+			this._super( name, options, element );
+			this._recent = [];
+			this._timer = null;
+		},
+		
+		_register: function() {
+			var panel = this;
+			
+			if ( this.options.interval > 0 ) {
+				this._interval = setInterval( function() {
+					panel.refresh();
+				}, this.options.interval );
+			}
+			
+			this.refresh();
+		},
+		
+		_remove: function() {
+			clearInterval( this._interval );
+			clearTimeout( this._timer );
+			this.element.empty();
+		},
+		
+		/**
+		 * Records a notification as recent and schedules a refresh of the overview. Refreshes
+		 * are deferred, so that a burst of notifications results in a single refresh.
+		 * @param {jQuery.mvc.Notification} notification The observed notification.
+		 */
+		_onNotification: function( notification ) {
+			var panel = this;
+			
+			this._recent.unshift({ time: $.now(), name: notification.name });
+			this._recent.length = Math.min( this._recent.length, this.options.recent );
+			
+			if ( this._timer === null ) {
+				this._timer = setTimeout( function() {
+					panel._timer = null;
+					panel.refresh();
+				}, 0 );
+			}
+		},
+		
+		/**
+		 * Creates a captioned table. Cell contents are inserted as text.
+		 * @param {String}         caption The table's caption.
+		 * @param {Array.<String>} headers The column headers.
+		 * @param {Array.<Array>}  rows    The rows of cell contents.
+		 * @return {jQuery} The table.
+		 */
+		_table: function( caption, headers, rows ) {
+			var table = $( "<table/>" ).addClass( "mvc-debug" ), row = $( "<tr/>" );
+			
+			$( "<caption/>" ).text( caption + " (" + rows.length + ")" ).appendTo( table );
+			
+			$.each( headers, function( i, header ) {
+				$( "<th/>" ).text( header ).appendTo( row );
+			});
+			table.append( row );
+			
+			$.each( rows, function( i, cells ) {
+				row = $( "<tr/>" );
+				$.each( cells, function( j, cell ) {
+					$( "<td/>" ).text( String( cell )).appendTo( row );
+				});
+				table.append( row );
+			});
+			
+			return table;
+		}
+	});
+
+})( jQuery );
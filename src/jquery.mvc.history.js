@@ -0,0 +1,202 @@
+﻿( function( $, undefined ) {
+
+	// The name of the notification sent whenever the history changes.
+	var changeName = "mvc:historychange";
+	
+	/**
+	 * Creates the history of a jQuery.mvc core, which records executed undoable commands so
+	 * that they can be undone and redone.
+	 *
+	 * <p>The history assumes these responsibilities:</p>
+	 * <ul>
+	 * <li>Recording executed instances of <code>jQuery.mvc.UndoableCommand</code> together
+	 * with the notifications they were executed for.</li>
+	 * <li>Providing methods for undoing and redoing the recorded commands.</li>
+	 * <li>Broadcasting a notification named <code>mvc:historychange</code> whenever the
+	 * history changes.</li>
+	 * </ul>
+	 * @param {Object} core The core the history belongs to.
+	 * @return {Object} The history.
+	 */
+	$.mvc.core.component( "history", function( core ) {
+	
+		var undoStack = [], redoStack = [], history;
+		
+		/**
+		 * Broadcasts the state of the history.
+		 */
+		var changed = function() {
+			core.notifier.notify( $.mvc.Notification( changeName, {
+				canUndo : history.canUndo(),
+				canRedo : history.canRedo()
+			}));
+		}
+		
+		core.notifier.define( changeName, { canUndo: "boolean", canRedo: "boolean" }, true );
+		
+		return history = {
+		
+			/**
+			 * A hash of option values configuring the history.
+			 * @type Object
+			 */
+			options: {
+				/**
+				 * The maximum number of commands that can be undone. Zero means there is no
+				 * maximum.
+				 * @type Number
+				 */
+				limit: 100
+			},
+			
+			/**
+			 * Records an executed command. Commands that were undone can no longer be redone
+			 * afterwards.
+			 * @param {jQuery.mvc.UndoableCommand} command      The executed command.
+			 * @param {jQuery.mvc.Notification}    notification The notification the command
+			 *                                                  was executed for.
+			 */
+			record: function( command, notification ) {
+				undoStack.push({ command: command, notification: notification });
+				redoStack = [];
+				
+				if ( history.options.limit > 0 && undoStack.length > history.options.limit ) {
+					undoStack.shift();
+				}
+				
+				changed();
+			},
+			
+			/**
+			 * Checks if there is a command that can be undone.
+			 * @return {Boolean} Whether there is a command to undo.
+			 */
+			canUndo: function() {
+				return undoStack.length > 0;
+			},
+			
+			/**
+			 * Checks if there is a command that can be redone.
+			 * @return {Boolean} Whether there is a command to redo.
+			 */
+			canRedo: function() {
+				return redoStack.length > 0;
+			},
+			
+			/**
+			 * Undoes the most recently executed command, if any.
+			 * @return {*} The result of undoing the command, or a promise for it.
+			 */
+			undo: function() {
+				var entry = undoStack.pop(), result;
+				
+				if ( entry !== undefined ) {
+				
+					// The command moves to the redo stack once it has been undone. If undoing
+					// it fails, it is put back, so that it can be undone once more.
+					try {
+						result = entry.command.undo( entry.notification );
+					} catch ( error ) {
+						undoStack.push( entry );
+						throw error;
+					}
+					
+					$.when( result )
+						.done( function() {
+							redoStack.push( entry );
+							changed();
+						})
+						.fail( function() {
+							undoStack.push( entry );
+						});
+				}
+				
+				return result;
+			},
+			
+			/**
+			 * Redoes the most recently undone command, if any.
+			 * @return {*} The result of redoing the command, or a promise for it.
+			 */
+			redo: function() {
+				var entry = redoStack.pop(), result;
+				
+				if ( entry !== undefined ) {
+				
+					// The command moves to the undo stack once it has been redone. If redoing
+					// it fails, it is put back, so that it can be redone once more.
+					try {
+						result = entry.command.redo( entry.notification );
+					} catch ( error ) {
+						redoStack.push( entry );
+						throw error;
+					}
+					
+					$.when( result )
+						.done( function() {
+							undoStack.push( entry );
+							changed();
+						})
+						.fail( function() {
+							redoStack.push( entry );
+						});
+				}
+				
+				return result;
+			},
+			
+			/**
+			 * Clears the history.
+			 */
+			removeAll: function() {
+				undoStack = [];
+				redoStack = [];
+				changed();
+			}
+		}
+	});
+	
+	/**
+	 * The base undoable command. An undoable command is recorded in the history of its core
+	 * once it has completed, so that it can be undone and redone later on. The same instance
+	 * is used to undo and redo the command, which allows it to keep the state it requires for
+	 * doing so.
+	 * @constructor
+	 */
+	$.mvc.UndoableCommand = $.mvc.module("UndoableCommand", $.mvc.Command, {
+	
+		/**
+		 * Undoes the command.
+		 * @param {jQuery.mvc.Notification} notification The notification the command was
+		 *                                               executed for.
+		 * @return {*} The result of undoing the command, or a promise for it.
+		 */
+		undo: function( notification ) { },
+		
+		/**
+		 * Redoes the command. By default, the command is executed again.
+		 * @param {jQuery.mvc.Notification} notification The notification the command was
+		 *                                               executed for.
+		 * @return {*} The result of redoing the command, or a promise for it.
+		 */
+		redo: function( notification ) {
+			return this.execute( notification );
+		},
+		
+		/**
+		 * Executes the command and records it in the history once it has completed.
+		 * @param {jQuery.mvc.Notification} notification The observed notification.
+		 * @return {*} The result of the command, or a promise for it.
+		 */
+		_execute: function( notification ) {
+			var command = this, result = this._super( notification );
+			
+			$.when( result ).done( function() {
+				( command.core || $.mvc.core() ).history.record( command, notification );
+			});
+			
+			return result;
+		}
+	});
+
+})( jQuery );
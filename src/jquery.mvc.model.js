@@ -1,92 +1,147 @@
 ﻿( function( $, undefined ) {
 
-	var proxyMap = {}, proxyGuid = 0;
-
 	/**
-	 * The static model singleton of the jQuery.mvc manifold.
+	 * Creates the model of a jQuery.mvc core.
 	 * 
 	 * <p>The model assumes these responsibilities:</p>
 	 * <ul>
 	 * <li>Maintaining a cache of proxy instances.</li>
 	 * <li>Providing methods for registering, retrieving, and removing proxies.</li>
 	 * <li>Notifiying proxies when they are registered or removed.</li>
-	 * </ul>	
-	 */	$.mvc.model = {
+	 * </ul>
+	 * @param {Object} core The core the model belongs to.
+	 * @return {Object} The model.
+	 */
+	$.mvc.core.component( "model", function( core ) {
 	
-		/**
-		 * Checks if a proxy has been registered with the model under the given name.
-		 * @param {String} The name of the proxy.
-		 * @return {Boolean} Whether a proxy is currently registered under the given name.
-		 */
-		has: function( name ) {
-			return proxyMap[ name ] !== undefined;
-		},
+		var proxyMap = {}, loadingMap = {}, proxyGuid = 0, model;
 		
-		/**
-		 * Retrieves an existing instance of a proxy registered under the given name.
-		 * @param {String} The name of the proxy.
-		 * @return {jQuery.mvc.Proxy} The registered proxy instance.
-		 */
-		get: function( name ) {			
-			return $.mvc.model.has( name ) ? proxyMap[ name ] : null;
-		},
+		return model = {
 		
-		/**
-		 * Registers a new instance of a <code>jQuery.mvc.Proxy</code> with the model.
-		 * The instance can optionally be given a unique name. If it is not, such a name will
-		 * be generated automatically.
-		 * @param {String}   name    The name under which to register the instance. (Optional)
-		 * @param {Function} proxy   The proxy's constructor function.
-		 * @param {Object}   options A hash of options with which the proxy will		 *                           be configured.	 
-		 * @param {*}        data    An existing data object the proxy should manage. (Optional)
-		 * @return {jQuery.mvc.Proxy} The registered proxy instance.
-		 */
-		register: function( name, proxy, options, data ) {
-			var proxy;
-			
-			// Normalize arguments to handle the optional name.
-			if ( typeof name !== "string" ) {
-				data = options;
-				options = proxy;
-				proxy = name;				
-				name = "proxy-" + ( ++proxyGuid );
-			}		
-			
-			// Do not allow re-registration. If a proxy already exists, it must
-			// be unregistered first.
-			if ( $.mvc.model.has( name ) ) {
-				throw "jQuery.mvc.model: A proxy named '" + name + "' already exists.";
-			}
+			/**
+			 * Checks if a proxy has been registered with the model under the given name.
+			 * @param {String} The name of the proxy.
+			 * @return {Boolean} Whether a proxy is currently registered under the given name.
+			 */
+			has: function( name ) {
+				return proxyMap[ name ] !== undefined;
+			},
 			
-			// Construct the proxy and register it in the map.
-			proxy = proxyMap[ name ] = new proxy( name, options, data );
+			/**
+			 * Retrieves an existing instance of a proxy registered under the given name.
+			 * @param {String} The name of the proxy.
+			 * @return {jQuery.mvc.Proxy} The registered proxy instance.
+			 */
+			get: function( name ) {			
+				return model.has( name ) ? proxyMap[ name ] : null;
+			},
 			
-			// Alert the proxy that it has been registered.
-			proxy._register();
+			/**
+			 * Lists the registered proxies, for diagnostic purposes.
+			 * @return {Array.<Object>} The name, type, namespace and instance of each proxy.
+			 */
+			list: function() {
+				var result = [];
+				
+				$.each( proxyMap, function( name, proxy ) {
+					result.push({
+						name      : name,
+						type      : proxy.getType(),
+						namespace : proxy.getNamespace(),
+						instance  : proxy
+					});
+				});
+				
+				return result;
+			},
 			
-			return proxy;
-		},
-		
-		/**
-		 * Removes a registered proxy from the model.
-		 * @param {jQuery.mvc.Proxy / String} The proxy or its name.
-		 */
-		remove: function( proxy ) {
-		
-			// If an object, must be sure that it is an actual registered proxy.
-			if ( typeof proxy === "object" ) { proxy = proxy.getName(); }
-			proxy = proxyMap[ proxy ];
+			/**
+			 * Registers a new instance of a <code>jQuery.mvc.Proxy</code> with the model.
+			 * The instance can optionally be given a unique name. If it is not, such a name will
+			 * be generated automatically.
+			 * <p>
+			 * The proxy may also be registered lazily, by giving its path or a loader function
+			 * as accepted by <code>jQuery.mvc.load</code>. The instance is then registered once
+			 * the proxy has been loaded, and a promise for it is returned instead.
+			 * </p>
+			 * @param {String}          name    The name under which to register the instance.
+			 *                                  (Optional)
+			 * @param {Function|String} proxy   The proxy's constructor function, path or loader
+			 *                                  function.
+			 * @param {Object}          options A hash of options with which the proxy will
+			 *                                  be configured.	 
+			 * @param {*}               data    An existing data object the proxy should manage.
+			 *                                  (Optional)
+			 * @return {jQuery.mvc.Proxy} The registered proxy instance, or a promise for it.
+			 */
+			register: function( name, proxy, options, data ) {
+				var proxy;
+				
+				// Normalize arguments to handle the optional name. A name is only given when
+				// followed by the proxy, as the proxy itself may be given as a path.
+				if ( typeof name !== "string" || !( typeof proxy === "string" || $.isFunction( proxy ) ) ) {
+					data = options;
+					options = proxy;
+					proxy = name;				
+					name = "proxy-" + ( ++proxyGuid );
+				}		
+				
+				// Do not allow re-registration. If a proxy already exists, it must
+				// be unregistered first.
+				if ( model.has( name ) || loadingMap[ name ] !== undefined ) {
+					throw "jQuery.mvc.model: A proxy named '" + name + "' already exists.";
+				}
+				
+				if ( $.mvc.load.isLazy( proxy ) ) {
+					return $.mvc.load.register( loadingMap, name, proxy, core, function( constructor ) {
+						return model.register( name, constructor, options, data );
+					}, "jQuery.mvc.model: The proxy named '" + name + "' was removed while loading." );
+				}
+				
+				// Construct the proxy, bind it to the core and register it in the map.
+				proxy = proxyMap[ name ] = new proxy( name, options, data );
+				proxy.core = core;
+				
+				// Alert the proxy that it has been registered.
+				proxy._register();
+				
+				return proxy;
+			},
 			
-			if ( proxy !== undefined ) {			
+			/**
+			 * Removes a registered proxy from the model.
+			 * @param {jQuery.mvc.Proxy / String} The proxy or its name.
+			 */
+			remove: function( proxy ) {
 			
-				// Remove the proxy from the map.
-				delete proxyMap[ proxy.getName() ];				
+				// If an object, must be sure that it is an actual registered proxy.
+				if ( typeof proxy === "object" ) { proxy = proxy.getName(); }
 				
-				// Alert the proxy that it has been removed.
-				proxy._remove();
+				// A proxy that is still loading, is not registered once loaded.
+				delete loadingMap[ proxy ];
+				proxy = proxyMap[ proxy ];
+				
+				if ( proxy !== undefined ) {			
+				
+					// Remove the proxy from the map.
+					delete proxyMap[ proxy.getName() ];				
+					
+					// Alert the proxy that it has been removed.
+					proxy._remove();
+				}
+			},
+			
+			/**
+			 * Removes all registered proxies from the model.
+			 */
+			removeAll: function() {
+				loadingMap = {};
+				$.each( proxyMap, function( name ) {
+					model.remove( name );
+				});
 			}
 		}
-	}
+	});
 
 	/**
 	 * Creates a new jQuery.mvc proxy prototype with the given name. If the name includes
@@ -142,6 +197,198 @@
 		
 		_remove: function() { }
 	});
+	
+	/**
+	 * Checks if two values are equal. Arrays and plain objects are compared by their members.
+	 * @param {*} a The first value.
+	 * @param {*} b The second value.
+	 * @return {Boolean} Whether the values are equal.
+	 */
+	var isEqual = function( a, b ) {
+		var equal = true;
+		
+		if ( a === b || ( a !== a && b !== b ) ) {
+			return true;
+		}
+		
+		if ( $.isArray( a ) && $.isArray( b ) ) {
+			if ( a.length !== b.length ) { return false; }
+		} else if ( !( $.isPlainObject( a ) && $.isPlainObject( b ) ) ) {
+			return false;
+		}
+		
+		$.each( [ [ a, b ], [ b, a ] ], function( i, pair ) {
+			$.each( pair[ 0 ], function( key, value ) {
+				return ( equal = pair[ 1 ].hasOwnProperty( key ) && isEqual( value, pair[ 1 ][ key ] ) );
+			});
+			return equal;
+		});
+		
+		return equal;
+	}
+	
+	/**
+	 * A proxy for an object of attributes, which broadcasts a notification named
+	 * <code>&lt;name&gt;:change</code> whenever attributes change, where the name is the name
+	 * under which the proxy is registered. The notification's body holds the paths of the
+	 * changed attributes, as well as their previous and new values by path. Attributes whose
+	 * new value equals their previous value are not considered changed.
+	 * <p>
+	 * Attributes are addressed by paths, in which periods separate the names of nested
+	 * attributes, e.g. <code>address.city</code>.
+	 * </p>
+	 * @constructor
+	 */
+	$.mvc.AttributeProxy = $.mvc.module("AttributeProxy", $.mvc.Proxy, {
+	
+		/**
+		 * Retrieves the value of an attribute.
+		 * @param {String} path The attribute's path. All attributes are retrieved when
+		 *                      omitted. (Optional)
+		 * @return {*} The attribute's value, or undefined if it does not exist.
+		 */
+		get: function( path ) {
+			var value = this.data;
+			
+			if ( path === undefined ) {
+				return value;
+			}
+			
+			$.each( path.split( "." ), function( i, name ) {
+				value = ( value != null && typeof value === "object" ) ? value[ name ] : undefined;
+				return value !== undefined;
+			});
+			
+			return value;
+		},
+		
+		/**
+		 * Sets the value of an attribute, or the values of several attributes at once.
+		 * Nested attributes are created as necessary. An exception is thrown, and nothing is
+		 * changed, if a path runs through an attribute whose value is not an object.
+		 * @param {String|Object} path  The attribute's path, or a hash of values by path.
+		 * @param {*}             value The attribute's new value. (Optional)
+		 */
+		set: function( path, value ) {
+			var proxy = this, values = path, change = this._createChange();
+			
+			if ( typeof path === "string" ) {
+				values = {};
+				values[ path ] = value;
+			}
+			
+			// Reject paths that run through attributes which are not objects, before changing
+			// anything. Replacing such attributes would silently discard their values.
+			$.each( values, function( path ) {
+				var names = path.split( "." ), parent;
+				
+				names.pop();
+				$.each( names, function( i ) {
+					parent = proxy.get( names.slice( 0, i + 1 ).join( "." ));
+					
+					if ( parent != null && typeof parent !== "object" ) {
+						throw "jQuery.mvc.AttributeProxy: Cannot set '" + path + "', as '" + names.slice( 0, i + 1 ).join( "." ) + "' is not an object.";
+					}
+					return parent != null;
+				});
+			});
+			
+			$.each( values, function( path, value ) {
+				var previous = proxy.get( path ), names = path.split( "." ), last = names.pop(), obj = proxy.data;
+				
+				if ( isEqual( previous, value ) && ( value !== undefined || proxy._has( path ) ) ) {
+					return;
+				}
+				
+				$.each( names, function( i, name ) {
+					if ( obj[ name ] == null || typeof obj[ name ] !== "object" ) {
+						obj[ name ] = {};
+					}
+					obj = obj[ name ];
+				});
+				
+				obj[ last ] = value;
+				proxy._addChange( change, path, previous, value );
+			});
+			
+			this._sendChange( change );
+		},
+		
+		/**
+		 * Removes one or more attributes.
+		 * @param {String|Array.<String>} paths The path of the attribute, or several paths.
+		 */
+		unset: function( paths ) {
+			var proxy = this, change = this._createChange();
+			
+			$.each( $.isArray( paths ) ? paths : [ paths ], function( i, path ) {
+				var names = path.split( "." ), last = names.pop(),
+					parent = names.length ? proxy.get( names.join( "." ) ) : proxy.data;
+				
+				if ( proxy._has( path ) ) {
+					proxy._addChange( change, path, parent[ last ], undefined );
+					delete parent[ last ];
+				}
+			});
+			
+			this._sendChange( change );
+		},
+		
+		_createModule: function( name, options, data ) {
+			this._super( name, options, data === undefined ? {} : data );
+		},
+		
+		/**
+		 * Declares the notifications sent by the proxy. Derived proxies that override this
+		 * method should call it through <code>_super</code>.
+		 */
+		_register: function() {
+			this.core.notifier.define( this.getName() + ":change", { changed: "array", previous: "object", values: "object" });
+		},
+		
+		/**
+		 * Checks if an attribute exists.
+		 * @param {String} path The attribute's path.
+		 * @return {Boolean} Whether the attribute exists.
+		 */
+		_has: function( path ) {
+			var names = path.split( "." ), last = names.pop(),
+				parent = names.length ? this.get( names.join( "." ) ) : this.data;
+			
+			return parent != null && typeof parent === "object" && parent.hasOwnProperty( last );
+		},
+		
+		/**
+		 * Creates an empty record of changes.
+		 * @return {Object} The record of changes.
+		 */
+		_createChange: function() {
+			return { changed: [], previous: {}, values: {} };
+		},
+		
+		/**
+		 * Adds a changed attribute to a record of changes.
+		 * @param {Object} change   The record of changes.
+		 * @param {String} path     The attribute's path.
+		 * @param {*}      previous The attribute's previous value.
+		 * @param {*}      value    The attribute's new value.
+		 */
+		_addChange: function( change, path, previous, value ) {
+			change.changed.push( path );
+			change.previous[ path ] = previous;
+			change.values[ path ] = value;
+		},
+		
+		/**
+		 * Broadcasts a record of changes, unless it is empty.
+		 * @param {Object} change The record of changes.
+		 */
+		_sendChange: function( change ) {
+			if ( change.changed.length > 0 ) {
+				this._notify( this.getName() + ":change", change );
+			}
+		}
+	});
 
 
 })( jQuery );
\ No newline at end of file
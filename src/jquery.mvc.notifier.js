@@ -1,10 +1,204 @@
 ﻿( function( $, undefined ) {
 
-  var observerMap = {}, notificationQueue = $({}), notificationSync = 0;
+	// The result recorded for observers skipped because of a cancelled notification.
+	var skipped = {};
+	
+	// The name of the notification broadcast when an observer throws an exception.
+	var errorName = "mvc:error";
+	
+	// The contract of the notification broadcast when an observer throws an exception.
+	var errorSchema = { error: "*", observer: "object", module: "string?", notification: "object" };
+	
+	// The name and contract of the notification broadcast when a lazily loaded module fails
+	// to load.
+	var loadErrorName = "mvc:loaderror", loadErrorSchema = { module: "string", error: "*" };
+	
+	/**
+	 * Copies a sticky notification, retaining whether it was received from another window.
+	 * @param {jQuery.mvc.Notification} notification The notification.
+	 * @return {jQuery.mvc.Notification} The copy.
+	 */
+	var copySticky = function( notification ) {
+		var copy = $.mvc.Notification( notification.name, notification.body, true );
+		
+		if ( notification.remote ) {
+			copy.remote = true;
+		}
+		
+		return copy;
+	}
+	
+	/**
+	 * Rethrows an exception asynchronously, so it still shows up in the browser's console
+	 * without interrupting the notification queue.
+	 * @param {*} error The exception.
+	 */
+	var rethrow = function( error ) {
+		setTimeout( function() { throw error; }, 0 );
+	}
+	
+	/**
+	 * Schedules a function for the browser's next animation frame, falling back to a
+	 * timeout of roughly one frame where animation frames are not supported.
+	 * @param {Function} fn The function to schedule.
+	 */
+	var requestFrame = function( fn ) {
+		// Refer to the global object through 'self', which is also available in Web Workers.
+		var raf = self.requestAnimationFrame
+			|| self.webkitRequestAnimationFrame
+			|| self.mozRequestAnimationFrame;
+		
+		return raf ? raf.call( self, fn ) : setTimeout( fn, 16 );
+	}
+	
+	/**
+	 * The strategies available for timesliced dispatching of notifications to observers.
+	 * Each strategy decides when a slice of synchronous observer calls must yield, and
+	 * schedules the next slice. A strategy that defers its first slice also schedules that
+	 * one, instead of having it run synchronously. Strategies never affect the order of
+	 * observer calls.
+	 * @type Object.<String,Object>
+	 */
+	var dispatchStrategies = {
+		// Yields after a maximum number of observer calls and resumes after a fixed delay.
+		count: {
+			yield    : function( slice, o ) { return slice.calls >= o.maxSync; },
+			schedule : function( fn, o ) { setTimeout( fn, o.delay ); }
+		},
+		
+		// Yields after a maximum amount of time and resumes after a fixed delay.
+		budget: {
+			yield    : function( slice, o ) { return $.now() - slice.start >= o.budget; },
+			schedule : function( fn, o ) { setTimeout( fn, o.delay ); }
+		},
+		
+		// Yields after a maximum amount of time and resumes on the next animation frame. The
+		// first slice also waits for an animation frame.
+		frame: {
+			deferFirst : true,
+			yield      : function( slice, o ) { return $.now() - slice.start >= o.budget; },
+			schedule   : function( fn, o ) { requestFrame( fn ); }
+		},
+		
+		// Never yields.
+		sync: {
+			yield    : function( slice, o ) { return false; },
+			schedule : $.noop
+		}
+	}
+
+	/**
+	 * Checks a value against a type in a notification contract. A type is either the name
+	 * of a type, i.e. <code>string</code>, <code>number</code>, <code>boolean</code>,
+	 * <code>function</code>, <code>object</code>, <code>array</code> or <code>*</code> for any
+	 * type, or a function which validates the value.
+	 * @param {*}               value The value.
+	 * @param {String|Function} type  The type.
+	 * @return {Boolean} Whether the value is of the given type.
+	 */
+	var checkType = function( value, type ) {
+		if ( $.isFunction( type )) {
+			return !!type( value );
+		}
+		
+		switch ( type ) {
+			case "*"      : return true;
+			case "array"  : return $.isArray( value );
+			case "object" : return typeof value === "object" && !$.isArray( value );
+			default       : return typeof value === type;
+		}
+	}
+	
+	/**
+	 * Validates a notification's body against the schema of a notification contract. The
+	 * schema maps each allowed field of the body onto its type. Types of optional fields are
+	 * suffixed with a question mark, e.g. <code>string?</code>.
+	 * @param {Object} body   The notification's body.
+	 * @param {Object} schema The schema.
+	 * @return {Array.<String>} The problems found with the body.
+	 */
+	var validateBody = function( body, schema ) {
+		var problems = [];
+		
+		body = body || {};
+		
+		$.each( schema, function( field, type ) {
+			var optional = typeof type === "string" && type.slice( -1 ) === "?",
+				value = body[ field ];
+			
+			type = optional ? type.slice( 0, -1 ) : type;
+			
+			if ( value == null ) {
+				if ( !optional ) {
+					problems.push( "missing field '" + field + "'" );
+				}
+			} else if ( !checkType( value, type )) {
+				problems.push( $.isFunction( type )
+					? "field '" + field + "' is invalid"
+					: "field '" + field + "' is not of type '" + type + "'" );
+			}
+		});
+		
+		$.each( body, function( field ) {
+			if ( !schema.hasOwnProperty( field )) {
+				problems.push( "undeclared field '" + field + "'" );
+			}
+		});
+		
+		return problems;
+	}
+	
+	/**
+	 * Merges two observer lists which are each ordered by descending priority into a new
+	 * list with the same ordering. Observers of equal priority retain their relative
+	 * order, with those from the first list preceding those from the second list.
+	 * @param {Array} a The first observer list.
+	 * @param {Array} b The second observer list.
+	 * @return {Array} The merged observer list.
+	 */
+	var mergeObservers = function( a, b ) {
+		var merged = [], i = 0, j = 0;
+		
+		while ( i < a.length && j < b.length ) {
+			merged.push( a[ i ].priority >= b[ j ].priority ? a[ i++ ] : b[ j++ ] );
+		}
+		
+		return merged.concat( a.slice( i ), b.slice( j ));
+	}
 
 	/**
-	 * The notifier singleton which provides notification based messaging
-	 * between modules of the jQuery.mvc manifold.
+	 * Combines the promises of the individual observers of a notification into a single
+	 * promise, which is resolved with the list of observer results once all of them have
+	 * been resolved, or which is rejected as soon as any of them is rejected.
+	 * @param {Array}                   promises     The promises of the observers.
+	 * @param {jQuery.mvc.Notification} notification The notification.
+	 * @return {Promise} The combined promise.
+	 */
+	var combineResults = function( promises, notification ) {
+		var deferred = $.Deferred(), results = [], pending = promises.length;
+		
+		if ( pending === 0 ) {
+			deferred.resolve( results, notification );
+		}
+		
+		$.each( promises, function( i, promise ) {
+			promise.done( function( result ) {
+				results[ i ] = result;
+				
+				if ( --pending === 0 ) {
+					deferred.resolve( $.grep( results, function( result ) {
+						return result !== skipped;
+					}), notification );
+				}
+			}).fail( deferred.reject );
+		});
+		
+		return deferred.promise();
+	}
+	
+	/**
+	 * Creates the notifier of a jQuery.mvc core, which provides notification based
+	 * messaging between the modules registered with the core.
 	 *
 	 * <p>The notifier assumes these responsibilities:</p>
 	 * <ul>
@@ -13,125 +207,764 @@
 	 * <li>Providing a method for broadcasting a notification.</li>
 	 * <li>Notifying observers of a given notification when it is broadcast.</li>
 	 * </ul>
+	 * @param {Object} core The core the notifier belongs to.
+	 * @return {Object} The notifier.
 	 */
-	$.mvc.notifier = {
+	$.mvc.core.component( "notifier", function( core ) {
+	
+		var observerMap = {}, stickyMap = {}, middlewares = [], notificationQueue = [], draining = false, notifier;
+		
+		var policyMap = {}, pendingMap = {}, lastMap = {}, contractMap = {};
 		
 		/**
-		 * An option hash with settings for the notifier singleton.
-		 * @type Object
+		 * Reports a violation of a notification contract through the <code>onViolation</code>
+		 * option, or through the console when that option is not set.
+		 * @param {String}                  message      The message describing the violation.
+		 * @param {jQuery.mvc.Notification} notification The notification involved, if any.
 		 */
-		options: {
-			/**
-			 * Defines the maximum number of observers to call in one synchronous iteration.
-			 * This option is used in conjunction with the <code>maxSync</code> option to
-			 * configure a timeslicing feature that should prevent browsers from showing
-			 *script timeout warnings.
-			 * @type Number
-			 */
-			maxSync: 5,
+		var reportViolation = function( message, notification ) {
+			var onViolation = notifier.options.onViolation;
 			
-			/**
-			 * Defines the number of milliseconds of delay inserted before starting a next 
-			 * synchronous iteration of calls to observers. This option is used in conjunction
-			 * with the <code>maxSync</code> option to configure a timeslicing feature that
-			 * should prevent browsers from showing script timeout warnings.
-			 * @type Number
-			 */
-			delay: 10
-		},
+			message = "jQuery.mvc.notifier: " + message;
+			
+			if ( $.isFunction( onViolation )) {
+				onViolation( message, notification );
+			} else if ( typeof console !== "undefined" && console.warn ) {
+				console.warn( message );
+			}
+		}
 		
 		/**
-		 * Registers an observer for a notification.
-		 * @param {String}              notificationName The notification for which to register.
-		 * @param {jQuery.mvc.Observer} observer         The observer to register.
+		 * Checks a sent notification against its contract, reporting undeclared notifications
+		 * and invalid notification bodies.
+		 * @param {jQuery.mvc.Notification} notification The notification.
+		 */
+		var checkContract = function( notification ) {
+			var contract = contractMap[ notification.name ];
+			
+			if ( contract === undefined ) {
+				reportViolation( "Undeclared notification '" + notification.name + "' was sent.", notification );
+			} else if ( contract.schema != null ) {
+				$.each( validateBody( notification.body, contract.schema ), function( i, problem ) {
+					reportViolation( "Notification '" + notification.name + "' was sent with an invalid body: " + problem + ".", notification );
+				});
+			}
+		}
+		
+		/**
+		 * Reports an exception thrown by an observer through the <code>onError</code> option
+		 * and through a notification named <code>mvc:error</code>. Exceptions thrown by
+		 * observers of the latter are only reported through the <code>onError</code> option.
+		 * @param {*}                       error        The exception.
+		 * @param {jQuery.mvc.Observer}     observer     The observer that threw the exception.
+		 * @param {jQuery.mvc.Notification} notification The notification being observed.
 		 */
-		register: function( notificationName, observer ) {
-			var observers = observerMap[ notificationName ];
-			if ( observers !== undefined ) {				
-				observers.push( observer );
+		var reportError = function( error, observer, notification ) {
+			var context = observer.context,
+				onError = notifier.options.onError;
+			
+			if ( $.isFunction( onError )) {
+				onError( error, observer, notification );
 			} else {
-				observerMap[ notificationName ] = [ observer ];
+				rethrow( error );
 			}
-		},
+			
+			if ( notification.name !== errorName ) {
+				notifier.notify( $.mvc.Notification( errorName, {
+					error        : error,
+					observer     : observer,
+					module       : observer.module || ( context instanceof $.mvc.Module ? context.getName() : null ),
+					notification : notification
+				}));
+			}
+		}
 		
 		/**
-		 * Removes observers for a particular context from a notification's observer list.
-		 * @param {String} notificationName The notification from which to remove observers.
-		 * @param {Object} context          The context for which to remove observers.
+		 * Processes queued observer calls in order, in slices as configured by the notifier's
+		 * <code>dispatch</code> option.
 		 */
-		remove: function( notificationName, context ) {
-			var observers = observerMap[ notificationName ];
-			if ( observers !== undefined ) {
+		var drain = function() {
+			var o = notifier.options,
+				strategy = dispatchStrategies[ o.dispatch ],
+				slice = { calls: 0, start: $.now() };
+			
+			if ( strategy === undefined ) {
+				throw "jQuery.mvc.notifier: Unknown dispatch strategy '" + o.dispatch + "'.";
+			}
 			
-				// Authors should treat all observers of notifications as true asynchronous
-				// callbacks with indeterminate execution order. Thus, the observers array
-				// may freely be permuted and truncated, which is the fastest way to remove
-				// entries from an array.
-				for (var i = 0, n = observers.length ; i < n ; ++i ) {
+			draining = true;
+			
+			while ( notificationQueue.length ) {
+			
+				// Every slice makes at least one call, so that it always makes progress.
+				if ( slice.calls > 0 && strategy.yield( slice, o )) {
+					strategy.schedule( drain, o );
+					return;
+				}
+				
+				slice.calls += 1;
+				
+				// Observer exceptions are isolated by the queued calls themselves, but the
+				// callbacks attached to their promises may still throw.
+				try {
+					notificationQueue.shift()();
+				} catch ( error ) {
+					rethrow( error );
+				}
+			}
+			
+			draining = false;
+		}
+		
+		/**
+		 * Calls observers for a notification, by queueing the calls for timesliced execution.
+		 * @param {jQuery.mvc.Notification} notification The notification.
+		 * @param {Array}                   observers    The observers to call.
+		 * @return {Promise} A promise for the results of the observers.
+		 */
+		var dispatch = function( notification, observers ) {
+			var promise, strategy;
+			
+			// Authors should treat all observers of notifications as true asynchronous
+			// callbacks. Thus, the observers array may freely be processed in chunks to
+			// prevent script timeout warnings in browsers. Chunking does not affect the
+			// order in which observers are called.
+			promise = combineResults( $.map( observers, function( observer ) {
+				var deferred = $.Deferred();
+				
+				notificationQueue.push( function() {
+					var result;
 					
-					if ( observers[ i ].context == context ) {
-												
-						observers[ i ] = observers[ n - 1 ];
-						n = n - 1; // Truncate one element
-						i = i - 1; // Re-access the i-th element: the observer that was swapped
-						           // in may also need to be removed.
+					// An observer with a limited number of calls may have been queued for
+					// more notifications than it has calls remaining.
+					if ( notification.isCancelled() || observer.isExpired() ) {
+						deferred.resolve( skipped );
+					} else {
+					
+						// Isolate exceptions thrown by the observer. An exception must not
+						// prevent the remainder of the queue from being processed.
+						try {
+							result = observer.notify( notification );
+						} catch ( error ) {
+							reportError( error, observer, notification );
+							result = $.Deferred().reject( error );
+						}
+						
+						if ( observer.isExpired() ) {
+							notifier.remove( observer );
+						}
+						
+						$.when( result )
+							.done( deferred.resolve )
+							.fail( deferred.reject );
 					}
-				};
+				});
+				
+				return deferred.promise();
+			}), notification );
+			
+			// Start processing the queue, unless it is already being processed. In that case
+			// the calls are processed after those queued earlier on. The first slice is
+			// processed synchronously, unless the dispatch strategy defers it.
+			if ( !draining ) {
+				strategy = dispatchStrategies[ notifier.options.dispatch ];
 				
-				if ( n === 0 ) {
-					delete observerMap[ notificationName ];
+				if ( strategy !== undefined && strategy.deferFirst ) {
+					draining = true;
+					strategy.schedule( drain, notifier.options );
 				} else {
-					observers.length = n;
+					drain();
 				}
 			}
-		},
+			
+			return promise;
+		}
 		
 		/**
-		 * Notifies observers of a notification
+		 * Passes a notification through the registered middleware, in order of registration.
+		 * Each notification produced by a middleware function is passed on to the next one.
 		 * @param {jQuery.mvc.Notification} notification The notification.
+		 * @return {Array} The notifications that remain to be dispatched.
 		 */
-		notify: function( notification ) {
-			var observers = observerMap[ notification.name ],				
-				o = $.mvc.notifier.options;
+		var applyMiddleware = function( notification ) {
+			var notifications = [ notification ];
+			
+			$.each( middlewares, function( i, middleware ) {
+				notifications = $.map( notifications, function( notification ) {
+					var result = middleware.call( notifier, notification );
+					
+					// Dropped notifications are mapped onto null, which $.map discards. Lists
+					// of notifications are flattened by $.map.
+					if ( result === false ) {
+						return null;
+					}
+					if ( result === undefined || result === true ) {
+						return notification;
+					}
+					
+					// Notifications produced from a notification received from another window
+					// are marked likewise, so that bridges do not forward them back.
+					if ( notification.remote ) {
+						$.each( $.isArray( result ) ? result : [ result ], function( i, produced ) {
+							produced.remote = true;
+						});
+					}
+					return result;
+				});
+			});
+			
+			return notifications;
+		}
+		
+		/**
+		 * Dispatches a notification that passed through the middleware to its observers.
+		 * @param {jQuery.mvc.Notification} notification The notification.
+		 * @return {Promise} A promise for the results of the observers.
+		 */
+		var send = function( notification ) {
+		
+			// Keep sticky notifications for replay to observers that register later on. A copy
+			// is kept, so cancelling the dispatched notification does not affect replays.
+			if ( notification.sticky ) {
+				stickyMap[ notification.name ] = copySticky( notification );
+			}
+			
+			return dispatch( notification, collectObservers( notification.name ));
+		}
+		
+		/**
+		 * Dispatches the latest notification held back under a policy key, and settles the
+		 * promise shared by all notifications that were merged into it.
+		 * @param {String} key The policy key.
+		 */
+		var flush = function( key ) {
+			var pending = pendingMap[ key ];
+			
+			delete pendingMap[ key ];
+			lastMap[ key ] = $.now();
+			
+			send( pending.notification )
+				.done( pending.deferred.resolve )
+				.fail( pending.deferred.reject );
+		}
+		
+		/**
+		 * Dispatches a notification that passed through the middleware, subject to the policy
+		 * registered for its name. Notifications held back by the policy are merged into the
+		 * latest notification under the same policy key, which is dispatched in their place.
+		 * @param {jQuery.mvc.Notification} notification The notification.
+		 * @return {Promise} A promise for the results of the observers.
+		 */
+		var regulate = function( notification ) {
+			var policy = policyMap[ notification.name ], key, pending, wait;
+			
+			if ( policy === undefined ) {
+				return send( notification );
+			}
+			
+			key = notification.name;
+			if ( $.isFunction( policy.coalesce )) {
+				key += "/" + policy.coalesce( notification );
+			}
+			
+			// A throttled notification passes immediately, unless another one passed too
+			// recently or is already being held back.
+			if ( policy.throttle ) {
+				wait = ( lastMap[ key ] || 0 ) + policy.throttle - $.now();
 				
-			if ( observers !== undefined ) {
+				if ( wait <= 0 && pendingMap[ key ] === undefined ) {
+					lastMap[ key ] = $.now();
+					return send( notification );
+				}
+			}
+			
+			pending = pendingMap[ key ] || ( pendingMap[ key ] = { deferred: $.Deferred() });
+			pending.notification = notification;
+			
+			if ( policy.debounce ) {
+				clearTimeout( pending.timer );
+				pending.timer = setTimeout( function() { flush( key ); }, policy.debounce );
+			} else if ( pending.timer === undefined ) {
+				pending.timer = setTimeout( function() { flush( key ); }, Math.max( wait || 0, 0 ));
+			}
+			
+			return pending.deferred.promise();
+		}
+		
+		/**
+		 * Collects the observers for a notification. Notification names are hierarchical,
+		 * with a period separating each level, e.g. <code>counter.change</code>. Observers
+		 * registered for the exact name are followed by observers registered for each of
+		 * the enclosing wildcard names, from the most specific to the least specific one:
+		 * <code>counter.*</code> and finally <code>*</code>. Observers with a higher priority
+		 * precede those with a lower priority, regardless of the name they registered for.
+		 * @param {String} notificationName The notification's name.
+		 * @return {Array} The observers.
+		 */
+		var collectObservers = function( notificationName ) {
+			var segments = notificationName.split( "." ),
+				observers = ( observerMap[ notificationName ] || [] ).slice(),
+				wildcard;
+			
+			while ( segments.length ) {
+				segments.pop();
+				wildcard = segments.concat( "*" ).join( "." );
 				
-				// Authors should treat all observers of notifications as true asynchronous
-				// callbacks. Thus, the observers array may freely be processed in chunks to
-				// prevent script timeout warnings in browsers.
-				$.each( observers.slice(), function( i, observer ) {				
-					
-					notificationQueue.queue( function( next ) {
-						observer.notify( notification );
-						notificationSync += 1;
-						
-						if ( notificationSync > o.maxSync ) {		
-							notificationSync = 0;
-							setTimeout( next, o.delay );
-						} else {
-							next();
-						}
+				// A notification may itself carry a wildcard name. Its observers have
+				// already been collected in that case.
+				if ( wildcard !== notificationName && observerMap[ wildcard ] !== undefined ) {
+					observers = mergeObservers( observers, observerMap[ wildcard ] );
+				}
+			}
+			
+			return observers;
+		}
+		
+		notifier = {
+			
+			/**
+			 * An option hash with settings for the notifier.
+			 * @type Object
+			 */
+			options: {
+				/**
+				 * Defines the strategy with which calls to observers are timesliced, to prevent
+				 * browsers from showing script timeout warnings. One of:
+				 * <ul>
+				 * <li><code>count</code>: Slices of at most <code>maxSync</code> calls, separated
+				 * by <code>delay</code> milliseconds.</li>
+				 * <li><code>budget</code>: Slices of at most <code>budget</code> milliseconds,
+				 * separated by <code>delay</code> milliseconds.</li>
+				 * <li><code>frame</code>: Slices of at most <code>budget</code> milliseconds, each
+				 * running in its own animation frame, including the first.</li>
+				 * <li><code>sync</code>: No slicing; all calls are made synchronously.</li>
+				 * </ul>
+				 * The strategy does not affect the order in which observers are called.
+				 * @type String
+				 */
+				dispatch: "count",
+				
+				/**
+				 * Defines the maximum number of observers to call in one synchronous iteration.
+				 * This option is used in conjunction with the <code>delay</code> option to
+				 * configure a timeslicing feature that should prevent browsers from showing
+				 * script timeout warnings.
+				 * @type Number
+				 */
+				maxSync: 5,
+				
+				/**
+				 * Defines the number of milliseconds of delay inserted before starting a next 
+				 * synchronous iteration of calls to observers. This option is used in conjunction
+				 * with the <code>maxSync</code> or <code>budget</code> options to configure a
+				 * timeslicing feature that should prevent browsers from showing script timeout
+				 * warnings.
+				 * @type Number
+				 */
+				delay: 10,
+				
+				/**
+				 * Defines the maximum number of milliseconds spent calling observers in one
+				 * synchronous iteration, for the <code>budget</code> and <code>frame</code>
+				 * dispatch strategies.
+				 * @type Number
+				 */
+				budget: 10,
+				
+				/**
+				 * Defines a function which is called when an observer throws an exception. The
+				 * function is passed the exception, the observer and the observed notification.
+				 * When no function is defined, the exception is rethrown asynchronously.
+				 * @type Function
+				 */
+				onError: null,
+				
+				/**
+				 * Defines whether the notifier runs in debug mode. In debug mode, sent notifications
+				 * are checked against their contracts, and observers registering for notifications
+				 * that can never be sent are reported.
+				 * @type Boolean
+				 */
+				debug: false,
+				
+				/**
+				 * Defines a function which is called in debug mode when a violation of a notification
+				 * contract is found. The function is passed a message describing the violation and
+				 * the notification involved, if any. When no function is defined, the message is
+				 * written to the console.
+				 * @type Function
+				 */
+				onViolation: null
+			},
+			
+			/**
+			 * Defines the contract for notifications of a given name. The contract declares the
+			 * notification, and optionally declares the fields its body may have and their types
+			 * through a schema. In debug mode, sending an undeclared notification or a notification
+			 * with a body which does not match its schema is reported.
+			 * <p>
+			 * The schema maps each field onto the name of a type, i.e. <code>string</code>,
+			 * <code>number</code>, <code>boolean</code>, <code>function</code>,
+			 * <code>object</code>, <code>array</code> or <code>*</code> for any type, or onto a
+			 * function validating the field's value. Types of optional fields are suffixed with a
+			 * question mark, e.g. <code>string?</code>. When no schema is given, the body of the
+			 * notification is not checked.
+			 * </p>
+			 * <p>
+			 * Contracts for notifications sent by the framework itself are retained when the
+			 * notifier is cleared.
+			 * </p>
+			 * @param {String}  notificationName The notification's name.
+			 * @param {Object}  schema           The schema for the notification's body. (Optional)
+			 * @param {Boolean} retain           Whether the contract is retained when the notifier
+			 *                                   is cleared. Defaults to false. (Optional)
+			 */
+			define: function( notificationName, schema, retain ) {
+				contractMap[ notificationName ] = { schema: schema, retain: !!retain };
+			},
+			
+			/**
+			 * Checks if a contract has been defined for a notification name. A name ending in a
+			 * wildcard is defined if a contract has been defined for any notification it matches.
+			 * @param {String} notificationName The notification's name, which may end in a wildcard.
+			 * @return {Boolean} Whether a matching contract has been defined.
+			 */
+			isDefined: function( notificationName ) {
+				var defined = contractMap[ notificationName ] !== undefined;
+				
+				$.each( contractMap, function( name ) {
+					return !( defined = defined || $.mvc.Notification( name ).matches( notificationName ));
+				});
+				
+				return defined;
+			},
+			
+			/**
+			 * Registers an observer for a notification. The notification name may end in a
+			 * wildcard to observe a whole hierarchy of notifications: <code>counter.*</code>
+			 * observes <code>counter.change</code> and <code>counter.reset</code>, while
+			 * <code>*</code> observes every notification.
+			 * <p>
+			 * Sticky notifications that were sent before and which match the notification name
+			 * are replayed to the observer immediately, unless the replay is deferred through
+			 * the <code>replay</code> argument. A deferred replay is started through
+			 * <code>replaySticky</code>, which can be limited to the sticky notifications kept
+			 * when the observer was registered, as obtained through <code>getSticky</code>.
+			 * </p>
+			 * @param {String}              notificationName The notification for which to register.
+			 * @param {jQuery.mvc.Observer} observer         The observer to register.
+			 * @param {Boolean}             replay           Whether to replay sticky notifications
+			 *                                               right away. Defaults to true.
+			 *                                               (Optional)
+			 * @return {jQuery.mvc.Observer} The registered observer, which may serve as a handle
+			 *                               to remove it.
+			 */
+			register: function( notificationName, observer, replay ) {
+				var observers = observerMap[ notificationName ], context = observer.context, i;
+				
+				// Report observers which can never be notified. This includes the observers
+				// for the notification interests of mediators.
+				if ( notifier.options.debug && !notifier.isDefined( notificationName )) {
+					reportViolation( "An observer"
+						+ ( context instanceof $.mvc.Module ? " of '" + context.getName() + "'" : "" )
+						+ " registered for undeclared notification '" + notificationName + "'." );
+				}
+				
+				if ( observers !== undefined ) {
+				
+					// Keep the observers array ordered by descending priority. Observers of
+					// equal priority are called in order of registration.
+					for ( i = observers.length ; i > 0 && observers[ i - 1 ].priority < observer.priority ; --i ) { }
+					observers.splice( i, 0, observer );
+				} else {
+					observerMap[ notificationName ] = [ observer ];
+				}
+				
+				if ( replay !== false ) {
+					notifier.replaySticky( notificationName, observer );
+				}
+				
+				return observer;
+			},
+			
+			/**
+			 * Retrieves the sticky notifications that are currently kept.
+			 * @return {Object} The sticky notifications, by notification name.
+			 */
+			getSticky: function() {
+				return $.extend( {}, stickyMap );
+			},
+			
+			/**
+			 * Replays the sticky notifications that match a notification name to an observer.
+			 * When the sticky notifications kept at an earlier point are given, only those of
+			 * them that are still kept are replayed. A sticky notification sent in the meantime
+			 * has been dispatched to the observer already.
+			 * @param {String}              notificationName The notification the observer is
+			 *                                               registered for.
+			 * @param {jQuery.mvc.Observer} observer         The observer.
+			 * @param {Object}              stickies         The sticky notifications to replay,
+			 *                                               as obtained from getSticky.
+			 *                                               (Optional)
+			 */
+			replaySticky: function( notificationName, observer, stickies ) {
+			
+				// Each observer is replayed a fresh notification, which it may cancel without
+				// affecting replays to other observers.
+				$.each( stickies || stickyMap, function( name, notification ) {
+					if ( stickyMap[ name ] === notification && notification.matches( notificationName )) {
+						dispatch( copySticky( notification ), [ observer ] );
+					}
+				});
+			},
+			
+			/**
+			 * Removes observers for a particular context from a notification's observer list.
+			 * Instead of a context, a single observer may be given to remove only that observer.
+			 * When only an observer is given, it is removed from the observer lists of all
+			 * notifications.
+			 * @param {String}                     notificationName The notification from which to
+			 *                                                      remove observers. (Optional)
+			 * @param {Object|jQuery.mvc.Observer} context          The context for which to remove
+			 *                                                      observers, or the observer.
+			 */
+			remove: function( notificationName, context ) {
+				var observers, byHandle;
+				
+				// Normalize arguments to handle the optional notification name.
+				if ( notificationName instanceof $.mvc.Observer ) {
+					$.each( observerMap, function( name ) {
+						notifier.remove( name, notificationName );
 					});
+					return;
+				}
+				
+				observers = observerMap[ notificationName ];
+				byHandle = context instanceof $.mvc.Observer;
+				
+				if ( observers !== undefined ) {
+				
+					// The observers array is ordered by priority. Compact the array in place
+					// to preserve that order for the remaining observers.
+					for (var i = 0, n = 0 ; i < observers.length ; ++i ) {
+						if ( byHandle ? observers[ i ] !== context : observers[ i ].context != context ) {
+							observers[ n++ ] = observers[ i ];
+						}
+					};
 					
+					if ( n === 0 ) {
+						delete observerMap[ notificationName ];
+					} else {
+						observers.length = n;
+					}
+				}
+			},
+			
+			/**
+			 * Notifies observers of a notification. Observers are called in order of descending
+			 * priority, until one of them cancels the notification.
+			 * <p>
+			 * An observer may return a promise to indicate that its handling of the notification
+			 * completes asynchronously. The returned promise is resolved once all observers have
+			 * been called and all promises returned by them have been resolved. It is resolved
+			 * with the list of values returned by (or resolved for) the called observers and
+			 * with the notification itself. It is rejected as soon as any of the promises
+			 * returned by observers is rejected, or as soon as any observer throws an exception.
+			 * </p>
+			 * <p>
+			 * An exception thrown by an observer does not affect other observers. It is reported
+			 * through the <code>onError</code> option and through a notification named
+			 * <code>mvc:error</code>, which carries the exception, the observer, the name of the
+			 * module acting as the observer's context and the original notification.
+			 * </p>
+			 * <p>
+			 * The notification first passes through the registered middleware, which may
+			 * modify, replace, drop or split it. When it is split, the promise is resolved with
+			 * the combined results of the observers of all resulting notifications.
+			 * </p>
+			 * <p>
+			 * Notifications are then dispatched subject to the policy registered for their name.
+			 * </p>
+			 * @param {jQuery.mvc.Notification} notification The notification.
+			 * @return {Promise} A promise for the results of the observers.
+			 */
+			notify: function( notification ) {
+				var notifications, deferred;
+				
+				if ( notifier.options.debug ) {
+					checkContract( notification );
+				}
+				
+				notifications = applyMiddleware( notification );
+				
+				if ( notifications.length === 1 ) {
+					return regulate( notifications[ 0 ] );
+				}
+				
+				deferred = $.Deferred();
+				combineResults( $.map( notifications, function( notification ) {
+					return regulate( notification );
+				}), notification ).done( function( results ) {
+					deferred.resolve( Array.prototype.concat.apply( [], results ), notification );
+				}).fail( deferred.reject );
+				
+				return deferred.promise();
+			},
+			
+			/**
+			 * Registers a middleware function, which is passed every notification sent through
+			 * the notifier before it is dispatched to observers. Middleware is called in order of
+			 * registration, with the notifier as its context. It may:
+			 * <ul>
+			 * <li>return nothing or <code>true</code> to pass on the notification, which it may
+			 * have modified, e.g., by renaming it or by enriching its body;</li>
+			 * <li>return <code>false</code> to drop the notification;</li>
+			 * <li>return another notification to pass on instead;</li>
+			 * <li>return a list of notifications to pass on instead.</li>
+			 * </ul>
+			 * @param {Function} middleware The middleware function.
+			 */
+			addMiddleware: function( middleware ) {
+				middlewares.push( middleware );
+			},
+			
+			/**
+			 * Removes a registered middleware function.
+			 * @param {Function} middleware The middleware function.
+			 */
+			removeMiddleware: function( middleware ) {
+				middlewares = $.grep( middlewares, function( fn ) {
+					return fn !== middleware;
+				});
+			},
+			
+			/**
+			 * Removes the sticky notification kept for a notification name, if any, so that it
+			 * is no longer replayed to observers that register later on.
+			 * @param {String} notificationName The notification's name.
+			 */
+			removeSticky: function( notificationName ) {
+				delete stickyMap[ notificationName ];
+			},
+			
+			/**
+			 * Registers a policy that regulates the dispatching of notifications of the given
+			 * name, replacing any policy registered for it before. Notifications held back by a
+			 * policy are merged into the latest notification held back, which is dispatched in
+			 * their place. All of them share the promise returned by <code>notify</code>.
+			 * A policy is a hash with one of the following settings:
+			 * <ul>
+			 * <li><code>debounce</code>: The number of milliseconds that must pass without any
+			 * further notification, before the latest notification is dispatched.</li>
+			 * <li><code>throttle</code>: The minimum number of milliseconds between dispatched
+			 * notifications. The first notification is dispatched immediately.</li>
+			 * <li><code>coalesce</code>: Notifications sent in a burst, i.e. during the same
+			 * script execution, are dispatched as one once it has ended.</li>
+			 * </ul>
+			 * The <code>coalesce</code> setting may also be a function which computes a key
+			 * for a notification. Notifications are then only merged with notifications that
+			 * have the same key. Such a key function also applies to the other settings.
+			 * @param {String} notificationName The notification's name.
+			 * @param {Object} policy           The policy.
+			 */
+			policy: function( notificationName, policy ) {
+				policyMap[ notificationName ] = policy;
+			},
+			
+			/**
+			 * Removes the policy registered for notifications of the given name. Notifications
+			 * already held back by the policy are still dispatched.
+			 * @param {String} notificationName The notification's name.
+			 */
+			removePolicy: function( notificationName ) {
+				delete policyMap[ notificationName ];
+			},
+			
+			/**
+			 * Lists the notification names with registered observers or a sticky notification,
+			 * for diagnostic purposes.
+			 * @return {Array.<Object>} The name of each notification, the number of its observers
+			 *                          and whether a sticky notification, a policy or a contract
+			 *                          is kept for it.
+			 */
+			list: function() {
+				var result = [], names = {};
+				
+				$.each([ observerMap, stickyMap ], function( i, map ) {
+					$.each( map, function( name ) { names[ name ] = true; });
+				});
+				
+				$.each( names, function( name ) {
+					result.push({
+						notification : name,
+						observers    : ( observerMap[ name ] || [] ).length,
+						sticky       : stickyMap[ name ] !== undefined,
+						policy       : policyMap[ name ] !== undefined,
+						contract     : contractMap[ name ] !== undefined
+					});
+				});
+				
+				return result;
+			},
+			
+			/**
+			 * Removes all observers, sticky notifications, middleware, policies and contracts
+			 * from the notifier, except for retained contracts. Notifications held back by
+			 * policies are discarded, and the promises returned for them are rejected.
+			 */
+			removeAll: function() {
+				var discarded = pendingMap, contracts = contractMap;
+				
+				$.each( discarded, function( key, pending ) {
+					clearTimeout( pending.timer );
+				});
+				
+				observerMap = {};
+				stickyMap = {};
+				middlewares = [];
+				policyMap = {};
+				pendingMap = {};
+				lastMap = {};
+				contractMap = {};
+				
+				$.each( contracts, function( name, contract ) {
+					if ( contract.retain ) {
+						contractMap[ name ] = contract;
+					}
+				});
+				
+				// Settle the discarded notifications only once the notifier has been reset, as
+				// their callbacks may send notifications again.
+				$.each( discarded, function( key, pending ) {
+					pending.deferred.reject( "jQuery.mvc.notifier: Notification '" + pending.notification.name + "' was discarded." );
 				});
 			}
-		}
-	}
+		};
+		
+		// Declare the notifications sent by the notifier itself and by the module loader.
+		notifier.define( errorName, errorSchema, true );
+		notifier.define( loadErrorName, loadErrorSchema, true );
+		
+		return notifier;
+	});
 	
 	/**
 	 * Creates a new <code>jQuery.mvc.Notification</code> instance.
 	 * @constructor
-	 * @param {String} name The notification's name.
-	 * @param {Object} body The notification's body or data.
+	 * @param {String}  name   The notification's name.
+	 * @param {Object}  body   The notification's body or data.
+	 * @param {Boolean} sticky Whether the notification is sticky. (Optional)
 	 */
-	$.mvc.Notification = function( name, body ) {
+	$.mvc.Notification = function( name, body, sticky ) {
 		// Allow calling as a regular function without the new keyword.
 		if ( !( this && this.hasOwnProperty && this instanceof $.mvc.Notification ) ) {
-			return new $.mvc.Notification( name, body );
+			return new $.mvc.Notification( name, body, sticky );
 		}
 		
 		this.name = name;
 		this.body = body;
+		this.sticky = !!sticky;
+		this.cancelled = false;
 	}
 
 	$.mvc.Notification.prototype = {
@@ -145,7 +978,50 @@
 		 * The body of the notification.
 		 * @type String
 		 */
-		body: { }
+		body: { },
+		
+		/**
+		 * Whether the notification is sticky. The last sticky notification of each name
+		 * is kept by the notifier and replayed to observers that register later on.
+		 * @type Boolean
+		 */
+		sticky: false,
+		
+		/**
+		 * Whether the notification has been cancelled.
+		 * @type Boolean
+		 */
+		cancelled: false,
+		
+		/**
+		 * Cancels the notification. Observers that have not yet been called, will
+		 * not be called.
+		 */
+		stopPropagation: function() {
+			this.cancelled = true;
+		},
+		
+		/**
+		 * Checks if the notification has been cancelled.
+		 * @return {Boolean} Whether the notification has been cancelled.
+		 */
+		isCancelled: function() {
+			return this.cancelled;
+		},
+		
+		/**
+		 * Checks if the notification's name is matched by a name observers can register for,
+		 * which may end in a wildcard.
+		 * @param {String} observedName The name observers can register for.
+		 * @return {Boolean} Whether the notification's name is matched.
+		 */
+		matches: function( observedName ) {
+			var prefix = observedName.slice( 0, -1 );
+			
+			return observedName === this.name
+				|| observedName === "*"
+				|| observedName.slice( -2 ) === ".*" && this.name.indexOf( prefix ) === 0;
+		}
 	}
 	
 	/**
@@ -153,16 +1029,24 @@
 	 * @constructor	 
 	 * @param {Function} fn      The function which will be called when a notification is observed.
 	 * @param {Object}   context The context with which the observing function will be called.
+	 * @param {Object}   options A hash of options with which the observer will be configured.
+	 *                           (Optional)
 	 */
-	$.mvc.Observer = function( fn, context ) {
+	$.mvc.Observer = function( fn, context, options ) {
 	
 		// Allow calling as a regular function without the new keyword.
 		if ( !( this && this.hasOwnProperty && this instanceof $.mvc.Observer ) ) {
-			return new $.mvc.Observer( fn, context );
+			return new $.mvc.Observer( fn, context, options );
 		}
 		
+		options = options || {};
+		
 		this.fn = fn;
-		this.context = context;	
+		this.context = context;
+		this.priority = options.priority || 0;
+		this.times = options.once ? 1 : ( options.times || Infinity );
+		this.calls = 0;
+		this.module = options.module || null;
 	}
 		
 	$.mvc.Observer.prototype = {
@@ -179,8 +1063,52 @@
 		 */
 		context: { },
 		
+		/**
+		 * The priority of the observer. Observers with a higher priority are called
+		 * before observers with a lower priority.
+		 * @type Number
+		 */
+		priority: 0,
+		
+		/**
+		 * The maximum number of times the observer function will be called. The observer is
+		 * removed once it has been called this many times. Set through the <code>times</code>
+		 * option, or through the <code>once</code> option for a single call.
+		 * @type Number
+		 */
+		times: Infinity,
+		
+		/**
+		 * The number of times the observer function has been called.
+		 * @type Number
+		 */
+		calls: 0,
+		
+		/**
+		 * A description of the module on whose behalf the observer is called, which is used
+		 * to report exceptions thrown by the observer function. Set through the
+		 * <code>module</code> option. When not set, exceptions are reported with the name of
+		 * the observer's context, if that is a module.
+		 * @type String
+		 */
+		module: null,
+		
+		/**
+		 * Checks if the observer function has been called the maximum number of times.
+		 * @return {Boolean} Whether the observer has expired.
+		 */
+		isExpired: function() {
+			return this.calls >= this.times;
+		},
+		
+		/**
+		 * Calls the observer function for an observed notification.
+		 * @param {jQuery.mvc.Notification} notification The observed notification.
+		 * @return {*} The return value of the observer function.
+		 */
 		notify: function( notification ) {
-			this.fn.call( this.context, notification );
+			this.calls += 1;
+			return this.fn.call( this.context, notification );
 		}
 		
 	}
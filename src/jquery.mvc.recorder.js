@@ -0,0 +1,185 @@
+﻿( function( $, undefined ) {
+
+	// The version of the log format.
+	var logVersion = 1;
+
+	/**
+	 * Creates a new <code>jQuery.mvc.Recorder</code> instance, which records the notifications
+	 * sent through the notifier of a core as a JSON log. Such a log can be replayed into
+	 * another core, e.g. to reproduce a bug report or to serve as a regression test.
+	 * <p>
+	 * Notifications are recorded as they pass through the notifier's middleware, i.e. before
+	 * they are dispatched to observers. Notifications named <code>mvc:error</code> are never
+	 * recorded, as their bodies refer to live objects. The bodies of other notifications are
+	 * copied as JSON; bodies which can not be represented as JSON are recorded as null.
+	 * </p>
+	 * @constructor
+	 * @param {Object} options A hash of options with which the recorder will be configured.
+	 */
+	$.mvc.Recorder = function( options ) {
+
+		// Allow calling as a regular function without the new keyword.
+		if ( !( this && this.hasOwnProperty && this instanceof $.mvc.Recorder ) ) {
+			return new $.mvc.Recorder( options );
+		}
+
+		// The options are not copied deeply, as they refer to a core.
+		this.options = $.extend( {}, this.options, options );
+		this.core = this.options.core || $.mvc.core();
+		this.entries = [];
+		this.started = null;
+		this._middleware = $.proxy( this._record, this );
+	}
+
+	/**
+	 * Replays a log of recorded notifications into the notifier of a core. Each notification
+	 * is sent once all observers of the previous notification have completed. The returned
+	 * promise is resolved once all notifications have been replayed, with the list of the
+	 * results of their observers.
+	 * @param {String|Object} log     The log, either as JSON or as returned by
+	 *                                <code>getLog</code>.
+	 * @param {Object}        options A hash of options with which to replay the log. The
+	 *                                <code>core</code> option defines the core to replay
+	 *                                the log into, which defaults to the default core. The
+	 *                                <code>realtime</code> option defines whether to retain
+	 *                                the recorded intervals between notifications. (Optional)
+	 * @return {Promise} A promise for the results of the replayed notifications.
+	 */
+	$.mvc.Recorder.replay = function( log, options ) {
+		var deferred = $.Deferred(), results = [], index = 0, entries, core, last;
+
+		options = options || {};
+		log = ( typeof log === "string" ) ? JSON.parse( log ) : log;
+		entries = log.entries;
+		core = options.core || $.mvc.core();
+
+		if ( log.version !== logVersion ) {
+			throw "jQuery.mvc.Recorder: Unsupported log version '" + log.version + "'.";
+		}
+
+		var next = function() {
+			var entry = entries[ index++ ], wait;
+
+			if ( entry === undefined ) {
+				deferred.resolve( results );
+				return;
+			}
+
+			wait = ( options.realtime && last !== undefined ) ? entry.time - last : 0;
+			last = entry.time;
+
+			setTimeout( function() {
+				core.notifier.notify( $.mvc.Notification( entry.name, entry.body, entry.sticky ))
+					.done( function( result ) {
+						results.push( result );
+						next();
+					})
+					.fail( deferred.reject );
+			}, wait );
+		};
+
+		next();
+
+		return deferred.promise();
+	}
+
+	$.mvc.Recorder.prototype = {
+
+		/**
+		 * A hash of option values configuring the recorder.
+		 * @type Object
+		 */
+		options: {
+			/**
+			 * The core whose notifications are recorded. Defaults to the default core.
+			 * @type Object
+			 */
+			core: null,
+
+			/**
+			 * The names of the notifications that are recorded. Names may end in a wildcard.
+			 * @type Array.<String>
+			 */
+			notifications: [ "*" ]
+		},
+
+		/**
+		 * Starts recording notifications. Recording continues the current log, if any.
+		 */
+		start: function() {
+			if ( this.started === null ) {
+				this.started = $.now();
+			}
+
+			this.core.notifier.removeMiddleware( this._middleware );
+			this.core.notifier.addMiddleware( this._middleware );
+		},
+
+		/**
+		 * Stops recording notifications.
+		 */
+		stop: function() {
+			this.core.notifier.removeMiddleware( this._middleware );
+		},
+
+		/**
+		 * Clears the log.
+		 */
+		clear: function() {
+			this.entries = [];
+			this.started = null;
+		},
+
+		/**
+		 * Retrieves the log. Each entry of the log holds the name, body and stickiness of a
+		 * notification, the time at which it was sent and the number of milliseconds since
+		 * recording started.
+		 * @return {Object} The log.
+		 */
+		getLog: function() {
+			return {
+				version : logVersion,
+				started : this.started,
+				entries : this.entries.slice()
+			};
+		},
+
+		/**
+		 * Serializes the log to JSON, e.g. for attaching it to a bug report.
+		 * @return {String} The log as JSON.
+		 */
+		serialize: function() {
+			return JSON.stringify( this.getLog() );
+		},
+
+		/**
+		 * Records a notification, if it matches the names to record. Serves as middleware
+		 * for the core's notifier.
+		 * @param {jQuery.mvc.Notification} notification The notification.
+		 */
+		_record: function( notification ) {
+			var body = null, recorded = false, now = $.now();
+
+			$.each( this.options.notifications, function( i, name ) {
+				return !( recorded = notification.matches( name ));
+			});
+
+			if ( !recorded || notification.name === "mvc:error" ) {
+				return;
+			}
+
+			try {
+				body = notification.body === undefined ? null : JSON.parse( JSON.stringify( notification.body ));
+			} catch ( error ) { }
+
+			this.entries.push({
+				time      : now - this.started,
+				timestamp : now,
+				name      : notification.name,
+				body      : body,
+				sticky    : notification.sticky
+			});
+		}
+	}
+
+})( jQuery );
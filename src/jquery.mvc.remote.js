@@ -0,0 +1,248 @@
+﻿( function( $, undefined ) {
+
+	/**
+	 * Fills in a URL template. Placeholders such as <code>{id}</code> are replaced by the
+	 * URL-encoded value of the parameter of the same name. Placeholders without a value are
+	 * replaced by an empty string.
+	 * @param {String} template The URL template.
+	 * @param {Object} params   The parameters.
+	 * @return {String} The URL.
+	 */
+	var fillTemplate = function( template, params ) {
+		return template.replace( /\{([^}]+)\}/g, function( match, name ) {
+			return params[ name ] == null ? "" : encodeURIComponent( params[ name ] );
+		});
+	}
+
+	/**
+	 * A proxy for data managed by a remote REST service, which it accesses through
+	 * <code>jQuery.ajax</code>. The URLs of the service are defined by URL templates.
+	 * <p>
+	 * Each request is announced through notifications named after the proxy's registered
+	 * name: <code>&lt;name&gt;:loading</code> when the request starts,
+	 * <code>&lt;name&gt;:loaded</code> when it succeeds and <code>&lt;name&gt;:failed</code>
+	 * when it fails. Their bodies hold the method and the URL of the request, as well as the
+	 * resulting data or the status and error, respectively.
+	 * </p>
+	 * <p>
+	 * Requests still pending when the proxy is removed from the model are cancelled, without
+	 * any notification.
+	 * </p>
+	 * @constructor
+	 */
+	$.mvc.RemoteProxy = $.mvc.module("RemoteProxy", $.mvc.Proxy, {
+	
+		/**
+		 * A hash of option values configuring the proxy.
+		 * @type Object
+		 */
+		options: {
+			/**
+			 * The URL template of the resource, e.g. <code>/api/users/{id}</code>.
+			 * Placeholders are filled in from the parameters of a request, or else from the
+			 * proxy's data.
+			 * @type String
+			 */
+			url: "",
+			
+			/**
+			 * URL templates for individual methods, i.e. <code>fetch</code>,
+			 * <code>create</code>, <code>update</code> and <code>destroy</code>, which take
+			 * precedence over the <code>url</code> option.
+			 * @type Object.<String,String>
+			 */
+			urls: { },
+			
+			/**
+			 * The content type with which data is sent. Data is serialized to JSON for the
+			 * default JSON content type.
+			 * @type String
+			 */
+			contentType: "application/json",
+			
+			/**
+			 * The type of data expected back from the service.
+			 * @type String
+			 */
+			dataType: "json",
+			
+			/**
+			 * A function which performs requests, in place of the default transport.
+			 * @type Function
+			 */
+			transport: null
+		},
+		
+		/**
+		 * Fetches the data from the service, replacing the proxy's data.
+		 * @param {Object} params The parameters for the URL template. (Optional)
+		 * @return {Promise} A promise for the fetched data.
+		 */
+		fetch: function( params ) {
+			return this._request( "fetch", "GET", params );
+		},
+		
+		/**
+		 * Creates a resource with the given data. The data returned by the service, or else
+		 * the given data, replaces the proxy's data.
+		 * @param {*}      data   The data of the new resource.
+		 * @param {Object} params The parameters for the URL template. (Optional)
+		 * @return {Promise} A promise for the data returned by the service.
+		 */
+		create: function( data, params ) {
+			return this._request( "create", "POST", params, data );
+		},
+		
+		/**
+		 * Updates the resource with the given data, or else with the proxy's data. The data
+		 * returned by the service, or else the given data, replaces the proxy's data.
+		 * @param {*}      data   The updated data of the resource. (Optional)
+		 * @param {Object} params The parameters for the URL template. (Optional)
+		 * @return {Promise} A promise for the data returned by the service.
+		 */
+		update: function( data, params ) {
+			return this._request( "update", "PUT", params, data === undefined ? this.data : data );
+		},
+		
+		/**
+		 * Destroys the resource. The proxy's data is cleared.
+		 * @param {Object} params The parameters for the URL template. (Optional)
+		 * @return {Promise} A promise for the data returned by the service.
+		 */
+		destroy: function( params ) {
+			return this._request( "destroy", "DELETE", params );
+		},
+		
+		/**
+		 * Cancels all pending requests. Their promises are rejected, without notifications.
+		 */
+		cancel: function() {
+			var requests = this._requests;
+			
+			this._requests = [];
+			$.each( requests, function( i, request ) {
+				request.cancelled = true;
+				if ( request.xhr && $.isFunction( request.xhr.abort ) ) {
+					request.xhr.abort();
+				}
+				request.deferred.reject( null, "abort", "abort" );
+			});
+		},
+		
+		_createModule: function( name, options, data ) {
+			this._super( name, options, data );
+			this._requests = [];
+		},
+		
+		_register: function() {
+			var notifier = this.core.notifier, name = this.getName();
+			
+			// Declare the notifications announcing requests.
+			notifier.define( name + ":loading", { method: "string", url: "string" });
+			notifier.define( name + ":loaded", { method: "string", url: "string", data: "*" });
+			notifier.define( name + ":failed", { method: "string", url: "string", status: "string", error: "*" });
+		},
+		
+		_remove: function() {
+			this.cancel();
+		},
+		
+		/**
+		 * Performs a request to the service and announces it through notifications.
+		 * @param {String} method The proxy's method, i.e. <code>fetch</code>,
+		 *                        <code>create</code>, <code>update</code> or
+		 *                        <code>destroy</code>.
+		 * @param {String} type   The HTTP method.
+		 * @param {Object} params The parameters for the URL template.
+		 * @param {*}      data   The data to send. (Optional)
+		 * @return {Promise} A promise for the data returned by the service.
+		 */
+		_request: function( method, type, params, data ) {
+			var proxy = this, o = this.options, name = this.getName(), url, settings, request, thrown, fail;
+			
+			url = fillTemplate( o.urls[ method ] || o.url, $.extend( {}, $.isPlainObject( this.data ) ? this.data : {}, params ));
+			
+			settings = {
+				url         : url,
+				type        : type,
+				dataType    : o.dataType,
+				contentType : o.contentType
+			};
+			
+			if ( data !== undefined ) {
+				settings.data = /json/.test( o.contentType ) ? JSON.stringify( data ) : data;
+			}
+			
+			request = { deferred: $.Deferred(), cancelled: false, xhr: null };
+			this._requests.push( request );
+			
+			fail = function( xhr, status, error ) {
+				if ( request.cancelled ) { return; }
+				proxy._complete( request );
+				
+				proxy._notify( name + ":failed", { method: method, url: url, status: status, error: error });
+				request.deferred.reject( xhr, status, error );
+			};
+			
+			// The request is started before it is announced, so that observers of the
+			// announcement are able to cancel it. A transport that throws is treated as a
+			// failed request.
+			try {
+				request.xhr = ( o.transport || $.mvc.RemoteProxy.transport )( settings );
+			} catch ( error ) {
+				thrown = error;
+			}
+			
+			this._notify( name + ":loading", { method: method, url: url });
+			
+			if ( request.xhr == null ) {
+				fail( null, "error", thrown );
+				return request.deferred.promise();
+			}
+			
+			request.xhr
+				.done( function( result ) {
+					if ( request.cancelled ) { return; }
+					proxy._complete( request );
+					
+					// Services may respond without content, in which case the sent data is kept.
+					if ( method === "destroy" ) {
+						proxy.data = null;
+					} else if ( result != null && result !== "" ) {
+						proxy.data = result;
+					} else if ( data !== undefined ) {
+						proxy.data = data;
+					}
+					
+					proxy._notify( name + ":loaded", { method: method, url: url, data: proxy.data });
+					request.deferred.resolve( proxy.data );
+				})
+				.fail( fail );
+			
+			return request.deferred.promise();
+		},
+		
+		/**
+		 * Removes a completed request from the list of pending requests.
+		 * @param {Object} request The request.
+		 */
+		_complete: function( request ) {
+			this._requests = $.grep( this._requests, function( pending ) {
+				return pending !== request;
+			});
+		}
+	});
+	
+	/**
+	 * The default transport with which all remote proxies perform their requests, unless
+	 * configured otherwise. It is passed the settings for <code>jQuery.ajax</code> and returns
+	 * a promise, which may have an <code>abort</code> method. Unit tests may replace it with a
+	 * mock transport.
+	 * @param {Object} settings The settings of the request.
+	 * @return {Promise} A promise for the data returned by the service.
+	 */
+	$.mvc.RemoteProxy.transport = function( settings ) {
+		return $.ajax( settings );
+	}
+
+})( jQuery );
@@ -0,0 +1,233 @@
+﻿( function( $, undefined ) {
+
+	var storageGuid = 0;
+
+	/**
+	 * A proxy for an object of attributes, which is persisted in the browser's local or session
+	 * storage. The data is restored when the proxy is registered and saved again whenever its
+	 * attributes change. Changes made to the same storage key by another tab are applied to
+	 * the proxy and announced as a change notification, whose body is marked as
+	 * <code>external</code>.
+	 * <p>
+	 * The data is stored together with a schema version. Data stored under an older version
+	 * is migrated when it is restored, by the migration functions for each later version.
+	 * </p>
+	 * @constructor
+	 */
+	$.mvc.StorageProxy = $.mvc.module("StorageProxy", $.mvc.AttributeProxy, {
+	
+		/**
+		 * A hash of option values configuring the proxy.
+		 * @type Object
+		 */
+		options: {
+			/**
+			 * The storage backend, i.e. the name of one of the backends in
+			 * <code>jQuery.mvc.StorageProxy.backends</code>.
+			 * @type String
+			 */
+			storage: "local",
+			
+			/**
+			 * The namespace which prefixes the storage key.
+			 * @type String
+			 */
+			namespace: "jquery.mvc",
+			
+			/**
+			 * The storage key. Defaults to the name under which the proxy is registered.
+			 * @type String
+			 */
+			key: null,
+			
+			/**
+			 * The current schema version of the data.
+			 * @type Number
+			 */
+			version: 1,
+			
+			/**
+			 * A map of schema versions to migration functions. Each migration function is
+			 * passed data stored under the previous version and returns the data for its own
+			 * version.
+			 * @type Object.<Number,Function>
+			 */
+			migrations: { }
+		},
+		
+		/**
+		 * Retrieves the namespaced key under which the data is stored.
+		 * @return {String} The storage key.
+		 */
+		getKey: function() {
+			return this.options.namespace + ":" + ( this.options.key || this.getName() );
+		},
+		
+		/**
+		 * Saves the data in the storage.
+		 */
+		save: function() {
+			var proxy = this;
+			
+			this._access( "save", function( storage ) {
+				storage.setItem( proxy.getKey(), JSON.stringify({
+					version : proxy.options.version,
+					data    : proxy.data
+				}));
+			});
+		},
+		
+		/**
+		 * Removes the data from the storage. The proxy's data is kept.
+		 */
+		clear: function() {
+			var proxy = this;
+			
+			this._access( "clear", function( storage ) {
+				storage.removeItem( proxy.getKey() );
+			});
+		},
+		
+		_createModule: function( name, options, data ) {
+			this._super( name, options, data );
+			this.id = "mvc-storage-" + ( ++storageGuid );
+			
+			// Merely accessing a storage may throw, e.g. in sandboxed frames.
+			try {
+				this._storage = $.mvc.StorageProxy.backends[ this.options.storage ]();
+			} catch ( error ) {
+				this._storage = null;
+				this._storageError = error;
+			}
+		},
+		
+		_register: function() {
+			var proxy = this, data;
+			
+			this._super();
+			this.core.notifier.define( this.getName() + ":failed", { method: "string", error: "*" });
+			
+			data = this._access( "restore", function( storage ) {
+				return proxy._restore( storage.getItem( proxy.getKey() ));
+			});
+			
+			if ( data !== undefined ) {
+				this.data = data;
+			}
+			this.save();
+			
+			// Storage events are only fired at windows, for changes made by other tabs.
+			if ( self.document !== undefined ) {
+				$( self ).bind( "storage." + this.id, function( event ) {
+					event = event.originalEvent;
+					
+					if ( event.key === proxy.getKey() && ( !event.storageArea || event.storageArea === proxy._storage )) {
+						proxy._receive( event.newValue );
+					}
+				});
+			}
+		},
+		
+		_remove: function() {
+			$( self ).unbind( "storage." + this.id );
+		},
+		
+		/**
+		 * Saves the data before broadcasting a record of changes. The changes are broadcast
+		 * even if the data could not be saved.
+		 * @param {Object} change The record of changes.
+		 */
+		_sendChange: function( change ) {
+			if ( change.changed.length > 0 ) {
+				this.save();
+			}
+			this._super( change );
+		},
+		
+		/**
+		 * Accesses the storage, reporting failures through a notification named
+		 * <code>&lt;name&gt;:failed</code>, e.g. when the storage is not available or its
+		 * quota is exceeded. The notification's body holds the kind of access, i.e.
+		 * <code>restore</code>, <code>save</code> or <code>clear</code>, and the error.
+		 * @param {String}   method The kind of access.
+		 * @param {Function} fn     The function accessing the storage, which is passed the
+		 *                          storage.
+		 * @return {*} The result of the function, or undefined if the access failed.
+		 */
+		_access: function( method, fn ) {
+			try {
+				if ( this._storage == null ) {
+					throw this._storageError || "jQuery.mvc.StorageProxy: Storage '" + this.options.storage + "' is not available.";
+				}
+				return fn( this._storage );
+			} catch ( error ) {
+				this._notify( this.getName() + ":failed", { method: method, error: error });
+			}
+		},
+		
+		/**
+		 * Restores data from its stored form, migrating it to the current schema version.
+		 * @param {String} value The stored value.
+		 * @return {*} The restored data, or undefined if there is no stored data or it can
+		 *             not be read.
+		 */
+		_restore: function( value ) {
+			var o = this.options, stored, version, data;
+			
+			try {
+				stored = JSON.parse( value );
+			} catch ( error ) {
+				return undefined;
+			}
+			
+			if ( !stored || stored.version === undefined ) {
+				return undefined;
+			}
+			
+			data = stored.data;
+			for ( version = stored.version + 1 ; version <= o.version ; ++version ) {
+				if ( $.isFunction( o.migrations[ version ] )) {
+					data = o.migrations[ version ]( data );
+				}
+			}
+			
+			return data;
+		},
+		
+		/**
+		 * Applies data stored by another tab and broadcasts the changed attributes.
+		 * @param {String} value The stored value.
+		 */
+		_receive: function( value ) {
+			var proxy = this, previous = this.data || {}, data = this._restore( value ), change;
+			
+			data = data === undefined ? {} : data;
+			change = this._createChange();
+			change.external = true;
+			
+			$.each( $.extend( {}, previous, data ), function( key ) {
+				if ( JSON.stringify( previous[ key ] ) !== JSON.stringify( data[ key ] )) {
+					proxy._addChange( change, key, previous[ key ], data[ key ] );
+				}
+			});
+			
+			this.data = data;
+			
+			// Do not save data that was just stored by another tab.
+			$.mvc.AttributeProxy.prototype._sendChange.call( this, change );
+		}
+	});
+	
+	/**
+	 * The storage backends available to storage proxies, by name. Each backend is a function
+	 * which returns an object implementing the <code>getItem</code>, <code>setItem</code>
+	 * and <code>removeItem</code> methods of the Web Storage API. Unit tests may add a
+	 * backend, e.g. one which stores data in memory.
+	 * @type Object.<String,Function>
+	 */
+	$.mvc.StorageProxy.backends = {
+		local   : function() { return self.localStorage; },
+		session : function() { return self.sessionStorage; }
+	};
+
+})( jQuery );
@@ -1,97 +1,184 @@
 ﻿( function( $, undefined ) {
 
-	var mediatorMap = {}, mediatorGuid = 0;
-
 	/**
-	 * The static view singleton of the jQuery.mvc manifold.
+	 * Creates the view of a jQuery.mvc core.
 	 * 
 	 * <p>The view assumes these responsibilities:</p>
 	 * <ul>
 	 * <li>Maintaining a cache of mediator instances.</li>
 	 * <li>Providing methods for registering, retrieving, and removing mediators.</li>
 	 * <li>Notifiying mediators when they are registered or removed.</li>
-	 * </ul>	
+	 * </ul>
+	 * @param {Object} core The core the view belongs to.
+	 * @return {Object} The view.
 	 */
-	$.mvc.view = {
-
-		/**
-		 * Checks if a mediator has been registered with the view.
-		 * @param {String} The name of the mediator.
-		 * @return {Boolean} Whether a mediator is currently registered under the given name.
-		 */
-		has: function( name ) {
-			return mediatorMap[ name ] !== undefined;
-		},
+	$.mvc.core.component( "view", function( core ) {
+	
+		var mediatorMap = {}, loadingMap = {}, mediatorGuid = 0, view;
+		
+		return view = {
 
-		/**
-		 * Registers a new instance of a <code>jQuery.mvc.Mediator</code> the view.
-		 * The instance can optionally be given a unique name. If it is not, such a name will
-		 * be generated automatically.
-		 * @param {String}   name     The name under which to register the instance. (Optional)
-		 * @param {Function} mediator The mediator's constructor function.
-		 * @param {Object}   options  A hash of options with which the mediator will
-		 *                            be configured.	 
-		 * @param {DOMElem}  element  The DOM element the mediator will use as a view component.
-		 * @return {jQuery.mvc.Mediator} The registered mediator instance.
-		 */
-		register: function( name, mediator, options, element ) {
-			var mediator;
+			/**
+			 * Checks if a mediator has been registered with the view.
+			 * @param {String} The name of the mediator.
+			 * @return {Boolean} Whether a mediator is currently registered under the given name.
+			 */
+			has: function( name ) {
+				return mediatorMap[ name ] !== undefined;
+			},
 			
-			// Normalize arguments to handle the optional name.
-			if ( typeof name !== "string" ) {
-				element = options;
-				options = mediator;
-				mediator = name;
-				name = "mediator-" + ( ++mediatorGuid );
-			}		
-			
-			// Do not allow re-registration. If a mediator already exists, it must
-			// be unregistered first.
-			if ( $.mvc.view.has( name ) ) {
-				throw "jQuery.mvc.view: A mediator named '" + name + "' already exists.";
-			}
+			/**
+			 * Retrieves an existing instance of a mediator registered under the given name.
+			 * @param {String} The name of the mediator.
+			 * @return {jQuery.mvc.Mediator} The registered mediator instance.
+			 */
+			get: function( name ) {
+				return view.has( name ) ? mediatorMap[ name ] : null;
+			},
 			
-			// Construct the mediator and register it in the map.
-			mediator = mediatorMap[ name ] = new mediator( name, options, element );
-			
-			// Register observers for the mediator's notification interests.
-			$.each( mediator.notificationInterests, function( name, fn ) {					
-				if ( $.isFunction( fn = mediator[ fn ] ) ) {
-					$.mvc.notifier.register( name, $.mvc.Observer( fn, mediator ) );
+			/**
+			 * Lists the registered mediators, for diagnostic purposes.
+			 * @return {Array.<Object>} The name, type, namespace and instance of each mediator.
+			 */
+			list: function() {
+				var result = [];
+				
+				$.each( mediatorMap, function( name, mediator ) {
+					result.push({
+						name      : name,
+						type      : mediator.getType(),
+						namespace : mediator.getNamespace(),
+						instance  : mediator
+					});
+				});
+				
+				return result;
+			},
+
+			/**
+			 * Registers a new instance of a <code>jQuery.mvc.Mediator</code> the view.
+			 * The instance can optionally be given a unique name. If it is not, such a name will
+			 * be generated automatically.
+			 * <p>
+			 * The mediator may also be registered lazily, by giving its path or a loader
+			 * function as accepted by <code>jQuery.mvc.load</code>. The instance is then
+			 * registered once the mediator has been loaded, and a promise for it is returned
+			 * instead. Notifications sent while the mediator is loading are not observed by it,
+			 * except for sticky notifications.
+			 * </p>
+			 * @param {String}          name     The name under which to register the instance.
+			 *                                   (Optional)
+			 * @param {Function|String} mediator The mediator's constructor function, path or
+			 *                                   loader function.
+			 * @param {Object}          options  A hash of options with which the mediator will
+			 *                                   be configured.	 
+			 * @param {DOMElem}         element  The DOM element the mediator will use as a view
+			 *                                   component.
+			 * @return {jQuery.mvc.Mediator} The registered mediator instance, or a promise for it.
+			 */
+			register: function( name, mediator, options, element ) {
+				var mediator, observers = [], stickies;
+				
+				// Normalize arguments to handle the optional name. A name is only given when
+				// followed by the mediator, as the mediator itself may be given as a path.
+				if ( typeof name !== "string" || !( typeof mediator === "string" || $.isFunction( mediator ) ) ) {
+					element = options;
+					options = mediator;
+					mediator = name;
+					name = "mediator-" + ( ++mediatorGuid );
+				}		
+				
+				// Do not allow re-registration. If a mediator already exists, it must
+				// be unregistered first.
+				if ( view.has( name ) || loadingMap[ name ] !== undefined ) {
+					throw "jQuery.mvc.view: A mediator named '" + name + "' already exists.";
 				}
-			});
-			
-			// Alert the mediator that it has been registered.
-			mediator._register();
+				
+				if ( $.mvc.load.isLazy( mediator ) ) {
+					return $.mvc.load.register( loadingMap, name, mediator, core, function( constructor ) {
+						return view.register( name, constructor, options, element );
+					}, "jQuery.mvc.view: The mediator named '" + name + "' was removed while loading." );
+				}
+				
+				// Construct the mediator, bind it to the core and resolve its dependencies, before
+				// registering it in the map.
+				mediator = new mediator( name, options, element );
+				mediator.core = core;
+				mediator.resolveDependencies();
+				mediatorMap[ name ] = mediator;
+				
+				// Register observers for the mediator's notification interests. The replay of
+				// sticky notifications is deferred until the mediator has been alerted, so that
+				// the mediator is ready for them, while notifications sent by the mediator from
+				// its _register method can still be observed by it. Only the sticky notifications
+				// kept beforehand are replayed, as those sent in between have been observed.
+				$.each( mediator.notificationInterests, function( name, interest ) {
+					var fn;
+					
+					// An interest may be given as a hash of observer options, which names the
+					// handler method through its 'handler' property.
+					if ( typeof interest === "string" ) {
+						interest = { handler: interest };
+					}
+					
+					if ( $.isFunction( fn = mediator[ interest.handler ] ) ) {
+						observers.push({
+							name     : name,
+							observer : core.notifier.register( name, $.mvc.Observer( fn, mediator, interest ), false )
+						});
+					}
+				});
+				
+				// Alert the mediator that it has been registered.
+				stickies = core.notifier.getSticky();
+				mediator._register();
+				
+				$.each( observers, function( i, entry ) {
+					core.notifier.replaySticky( entry.name, entry.observer, stickies );
+				});
+				
+				return mediator;			
+			},
 			
-			return mediator;			
-		},
-		
-		/**
-		 * Removes a registered mediator from the view.
-		 * @param {jQuery.mvc.Mediator|String} The mediator or its name.
-		 */
-		remove: function( mediator ) {
-		
-			// If an object, must be sure that it is an actual registered mediator.
-			if ( typeof mediator === "object" ) { mediator = mediator.getName(); }
-			mediator = mediatorMap[ mediator ];
+			/**
+			 * Removes a registered mediator from the view.
+			 * @param {jQuery.mvc.Mediator|String} The mediator or its name.
+			 */
+			remove: function( mediator ) {
 			
-			if ( mediator !== undefined ) {	
+				// If an object, must be sure that it is an actual registered mediator.
+				if ( typeof mediator === "object" ) { mediator = mediator.getName(); }
 				
-				// Remove observers for the mediator's notification interests.
-				$.each( mediator.notificationInterests, function( name, fn ) {
-					$.mvc.notifier.remove( name, mediator );
-				});
-
-				// Remove the mediator from the map.
-				delete mediatorMap[ mediator.getName() ];					
+				// A mediator that is still loading, is not registered once loaded.
+				delete loadingMap[ mediator ];
+				mediator = mediatorMap[ mediator ];
 				
-				// Alert the mediator that it has been removed.
-				mediator._remove();
+				if ( mediator !== undefined ) {	
+					
+					// Remove observers for the mediator's notification interests.
+					$.each( mediator.notificationInterests, function( name, fn ) {
+						core.notifier.remove( name, mediator );
+					});
+
+					// Remove the mediator from the map.
+					delete mediatorMap[ mediator.getName() ];					
+					
+					// Alert the mediator that it has been removed.
+					mediator._remove();
+				}
+			},
+			
+			/**
+			 * Removes all registered mediators from the view.
+			 */
+			removeAll: function() {
+				loadingMap = {};
+				$.each( mediatorMap, function( name ) {
+					view.remove( name );
+				});
 			}
 		}
-	}
+	});
 
 	/**
 	 * Creates a new jQuery.mvc mediator prototype with the given name. If the name includes
@@ -132,8 +219,10 @@
 		/**
 		 * A map of notification names to member method names. Used to indicate
 		 * which notifications the mediator is interested in and which handlers
-		 * should be called when these notifications are observed.
-		 * @type Object.<String,String>
+		 * should be called when these notifications are observed. Instead of a
+		 * method name, a hash of observer options may be given, which names the
+		 * method through its <code>handler</code> property.
+		 * @type Object.<String,String|Object>
 		 */
 		notificationInterests: { },
 		
@@ -0,0 +1,288 @@
+﻿/**
+ * A minimal runtime that provides the subset of jQuery's utility functions on which the
+ * core, notifier, model, controller and bridge of jQuery.mvc depend. It allows these parts
+ * of the library to be loaded into a Web Worker, where jQuery itself can not be loaded as
+ * there is no DOM. Mediators depend on the DOM and are not available inside a Web Worker.
+ * <p>
+ * The runtime must be loaded first, e.g.:
+ * </p>
+ * <pre>
+ * importScripts(
+ *   "jquery.mvc.worker.js", "jquery.mvc.core.js", "jquery.mvc.notifier.js",
+ *   "jquery.mvc.model.js", "jquery.mvc.controller.js", "jquery.mvc.bridge.js"
+ * );
+ * </pre>
+ * <p>
+ * Nothing is defined when jQuery is already available.
+ * </p>
+ */
+( function( global, undefined ) {
+
+	if ( global.jQuery !== undefined ) {
+		return;
+	}
+
+	var $ = global.jQuery = {}, toString = Object.prototype.toString;
+
+	/**
+	 * Does nothing.
+	 */
+	$.noop = function() { };
+
+	/**
+	 * Retrieves the current time in milliseconds.
+	 * @return {Number} The current time.
+	 */
+	$.now = function() {
+		return ( new Date() ).getTime();
+	};
+
+	/**
+	 * Checks if an object is a function.
+	 * @param {*} obj The object.
+	 * @return {Boolean} Whether the object is a function.
+	 */
+	$.isFunction = function( obj ) {
+		return toString.call( obj ) === "[object Function]";
+	};
+
+	/**
+	 * Checks if an object is an array.
+	 * @param {*} obj The object.
+	 * @return {Boolean} Whether the object is an array.
+	 */
+	$.isArray = function( obj ) {
+		return toString.call( obj ) === "[object Array]";
+	};
+
+	/**
+	 * Checks if an object is a plain object, created through an object literal or through
+	 * the Object constructor.
+	 * @param {*} obj The object.
+	 * @return {Boolean} Whether the object is a plain object.
+	 */
+	$.isPlainObject = function( obj ) {
+		var proto;
+
+		if ( toString.call( obj ) !== "[object Object]" ) {
+			return false;
+		}
+
+		proto = Object.getPrototypeOf( obj );
+		return proto === null || proto === Object.prototype;
+	};
+
+	/**
+	 * Iterates over the elements of an array or the properties of an object. Returning
+	 * false from the callback ends the iteration.
+	 * @param {Array|Object} obj      The array or object.
+	 * @param {Function}     callback The function called with each key and value, with
+	 *                                the value as its context.
+	 * @return {Array|Object} The array or object.
+	 */
+	$.each = function( obj, callback ) {
+		var key;
+
+		if ( $.isArray( obj )) {
+			for ( key = 0 ; key < obj.length ; ++key ) {
+				if ( callback.call( obj[ key ], key, obj[ key ] ) === false ) { break; }
+			}
+		} else {
+			for ( key in obj ) {
+				if ( callback.call( obj[ key ], key, obj[ key ] ) === false ) { break; }
+			}
+		}
+
+		return obj;
+	};
+
+	/**
+	 * Maps the elements of an array onto a new array. Null and undefined results are
+	 * discarded, while array results are flattened into the new array.
+	 * @param {Array}    arr      The array.
+	 * @param {Function} callback The function called with each element and its index.
+	 * @return {Array} The new array.
+	 */
+	$.map = function( arr, callback ) {
+		var result = [], value, i;
+
+		for ( i = 0 ; i < arr.length ; ++i ) {
+			value = callback( arr[ i ], i );
+			if ( value != null ) {
+				result.push( value );
+			}
+		}
+
+		return result.concat.apply( [], result );
+	};
+
+	/**
+	 * Filters the elements of an array onto a new array.
+	 * @param {Array}    arr      The array.
+	 * @param {Function} callback The function called with each element and its index,
+	 *                            which returns whether to keep the element.
+	 * @return {Array} The new array.
+	 */
+	$.grep = function( arr, callback ) {
+		var result = [], i;
+
+		for ( i = 0 ; i < arr.length ; ++i ) {
+			if ( callback( arr[ i ], i )) {
+				result.push( arr[ i ] );
+			}
+		}
+
+		return result;
+	};
+
+	/**
+	 * Finds the index of an element in an array.
+	 * @param {*}     elem The element.
+	 * @param {Array} arr  The array.
+	 * @return {Number} The index of the element, or -1 if it is not found.
+	 */
+	$.inArray = function( elem, arr ) {
+		for ( var i = 0 ; i < arr.length ; ++i ) {
+			if ( arr[ i ] === elem ) { return i; }
+		}
+		return -1;
+	};
+
+	/**
+	 * Merges the properties of objects into a target object. If the first argument is
+	 * true, plain objects and arrays are merged recursively.
+	 * @param {Boolean} deep   Whether to merge recursively. (Optional)
+	 * @param {Object}  target The target object.
+	 * @param {Object}  ...    The objects to merge into the target object.
+	 * @return {Object} The target object.
+	 */
+	$.extend = function( /* [deep], target, ... */ ) {
+		var args = Array.prototype.slice.call( arguments ),
+			deep = args[ 0 ] === true && !!args.shift(),
+			target = args.shift() || {};
+
+		$.each( args, function( i, source ) {
+			$.each( source || {}, function( key, value ) {
+				var current = target[ key ];
+
+				if ( value === target || value === undefined ) {
+					return;
+				}
+
+				if ( deep && ( $.isPlainObject( value ) || $.isArray( value ))) {
+					current = $.isArray( value )
+						? ( $.isArray( current ) ? current : [] )
+						: ( $.isPlainObject( current ) ? current : {} );
+					target[ key ] = $.extend( true, current, value );
+				} else {
+					target[ key ] = value;
+				}
+			});
+		});
+
+		return target;
+	};
+
+	/**
+	 * Creates a new deferred object, compatible with the subset of jQuery.Deferred used by
+	 * jQuery.mvc: done, fail, always, state, promise, resolve, reject, resolveWith and
+	 * rejectWith.
+	 * @return {Object} The deferred object.
+	 */
+	$.Deferred = function() {
+		var state = "pending", context, values, deferred, promise,
+			callbacks = { resolved: [], rejected: [] };
+
+		var settle = function( newState ) {
+			return function( ctx, args ) {
+				if ( state === "pending" ) {
+					state = newState;
+					context = ctx;
+					values = args || [];
+
+					$.each( callbacks[ newState ], function( i, fn ) {
+						fn.apply( context, values );
+					});
+					callbacks = null;
+				}
+				return deferred;
+			};
+		};
+
+		var listen = function( listenState ) {
+			return function( /* ... */ ) {
+				var fns = Array.prototype.concat.apply( [], arguments );
+
+				$.each( fns, function( i, fn ) {
+					if ( !$.isFunction( fn )) {
+						return;
+					}
+					if ( state === listenState ) {
+						fn.apply( context, values );
+					} else if ( state === "pending" ) {
+						callbacks[ listenState ].push( fn );
+					}
+				});
+				return this;
+			};
+		};
+
+		promise = {
+			done   : listen( "resolved" ),
+			fail   : listen( "rejected" ),
+			always : function() {
+				promise.done.apply( this, arguments );
+				return promise.fail.apply( this, arguments );
+			},
+			state  : function() { return state; },
+			promise: function( obj ) {
+				return obj != null ? $.extend( obj, promise ) : promise;
+			}
+		};
+
+		deferred = promise.promise( {} );
+		deferred.resolveWith = settle( "resolved" );
+		deferred.rejectWith = settle( "rejected" );
+		deferred.resolve = function() { return deferred.resolveWith( promise, arguments ); };
+		deferred.reject = function() { return deferred.rejectWith( promise, arguments ); };
+
+		return deferred;
+	};
+
+	/**
+	 * Creates a promise for one or more values or promises. A single promise is returned
+	 * as is. Any other single value results in a resolved promise. Several values result
+	 * in a promise that is resolved with all of their values once all of them have been
+	 * resolved, or that is rejected as soon as one of them is rejected.
+	 * @param {*} ... The values or promises.
+	 * @return {Promise} The promise.
+	 */
+	$.when = function( /* ... */ ) {
+		var args = Array.prototype.slice.call( arguments ),
+			deferred, pending, values;
+
+		if ( args.length === 1 && args[ 0 ] && $.isFunction( args[ 0 ].promise )) {
+			return args[ 0 ].promise();
+		}
+
+		deferred = $.Deferred();
+		pending = args.length;
+		values = [];
+
+		if ( args.length <= 1 ) {
+			return deferred.resolve( args[ 0 ] ).promise();
+		}
+
+		$.each( args, function( i, arg ) {
+			$.when( arg ).done( function( value ) {
+				values[ i ] = arguments.length > 1 ? Array.prototype.slice.call( arguments ) : value;
+				if ( --pending === 0 ) {
+					deferred.resolve.apply( deferred, values );
+				}
+			}).fail( deferred.reject );
+		});
+
+		return deferred.promise();
+	};
+
+})( this );